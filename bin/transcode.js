@@ -1,9 +1,20 @@
 #!/usr/bin/env node
 
 const { Command } = require('commander');
+const EventEmitter = require('events');
 const path = require('path');
 const { transcodeVideo } = require('../lib/transcoder');
-const fs = require('fs-extra');
+const { resolveOptions, parseCliValue } = require('../lib/config');
+const { runBatch, formatBatchSummary } = require('../lib/batch');
+const { WatchFolder } = require('../lib/watch');
+const { LiveTranscoder, DEFAULT_LIVE_LADDER } = require('../lib/live');
+const { parseLadder } = require('../lib/ladder');
+const { startApiServer } = require('../lib/api');
+const { QUEUE_FILE } = require('../lib/queue');
+const { reportJobProgress } = require('../lib/progress');
+const { logToStderr } = require('../lib/logger');
+const { isS3Url } = require('../lib/s3');
+const { parseHeaders } = require('../lib/download');
 
 const program = new Command();
 
@@ -11,105 +22,315 @@ program
   .name('transcode')
   .description('Intelligent CLI tool for transcoding videos to optimized HLS format')
   .version('1.1.4')
+  // Options before "watch" belong to the one-off transcode, options after it to the watcher
+  .enablePositionalOptions()
   .option('-i, --input <url>', 'Input video file path or URL')
-  .option('-o, --output <folder>', 'Output folder for HLS files')
+  .option('-o, --output <folder>', 'Output folder for HLS files, or s3://bucket/prefix to publish to S3-compatible storage')
+  .option('--batch <source>', 'Transcode many inputs: a directory, a glob such as "uploads/*.mov" or a list file with one path or URL per line; each gets its own subfolder of --output')
+  .option('--batch-concurrency <number>', 'Simultaneous FFmpeg encodes shared by all batch jobs', '2')
+  .option('--config <file>', 'Job config file (.json, .yaml or .yml); CLI flags override its values')
+  .option('--profile <name>', 'Named profile from the config file\'s "profiles" section')
   .option('-b, --bandwidth-ratio <ratio>', 'Bandwidth ratio for quality generation (0.1-2.0)', '1.0')
   .option('--segment-duration <seconds>', 'HLS segment duration', '6')
   .option('--segment-size <megabytes>', 'HLS segment size in MB (alternative to segment duration)', '')
+  .option('--segment-format <format>', 'Segment container: ts (MPEG-TS) or fmp4 (CMAF fragmented MP4)', 'ts')
+  .option('--formats <list>', 'Comma-separated manifest formats to write: hls, dash (dash requires --segment-format fmp4)', 'hls')
+  .option('--codecs <list>', 'Comma-separated video codecs, one ladder each: h264, hevc, av1, vp9 (non-h264 requires --segment-format fmp4)', 'h264')
   .option('--preset <preset>', 'FFmpeg preset (ultrafast,superfast,veryfast,faster,fast,medium,slow,slower,veryslow)', 'medium')
   .option('--crf-offset <value>', 'CRF offset adjustment (-5 to +5)', '0')
   .option('--min-quality <quality>', 'Minimum quality to generate (144,240,360,480)', '360')
+  .option('--ladder <rungs>', 'Explicit ladder replacing the built-in qualities, comma-separated [WIDTHx]HEIGHT:BITRATE[:MAXBITRATE[:FPS[:PROFILE]]] rungs (e.g. 1080:5000:7500,720:2800::30,480:1200::30:main)')
+  .option('--per-title', 'Build the ladder from sample encodes of the source (content-aware rung count, resolutions and bitrates)', false)
+  .option('--per-title-metric <metric>', 'Quality metric for per-title analysis: vmaf (needs libvmaf), ssim or psnr', 'vmaf')
+  .option('--per-title-target <score>', 'Quality the top rung must reach (default: VMAF 93, SSIM 0.98, PSNR 42)', '')
   .option('--skip-analysis', 'Skip source file analysis (faster but less accurate)', false)
   .option('--sequential', 'Process qualities sequentially (one at a time) instead of parallel', false)
+  .option('--single-decode', 'Decode the source once and encode all qualities in a single FFmpeg process', false)
   .option('--max-concurrent <number>', 'Maximum number of concurrent encodes (default: unlimited/CPU cores)', '')
+  .option('--separate-audio', 'Encode audio once as separate renditions (EXT-X-MEDIA audio groups) instead of muxing it into every quality', false)
+  .option('--audio-bitrates <list>', 'Comma-separated audio bitrates in kbps for separate audio renditions (e.g. 64,128,192)', '128')
+  .option('--subtitles <files>', 'Comma-separated sidecar .srt/.vtt subtitle files (language from names like movie.en.srt, add .forced/.default markers)', '')
+  .option('--thumbnails', 'Generate seek bar thumbnail sprite sheets and a thumbnails.vtt track', false)
+  .option('--thumbnail-interval <seconds>', 'Seconds between thumbnails', '10')
+  .option('--thumbnail-grid <columns>x<rows>', 'Thumbnails per sprite sheet as columns x rows', '5x5')
+  .option('--thumbnail-width <pixels>', 'Thumbnail width in pixels (height follows the source aspect ratio)', '160')
+  .option('--thumbnail-format <format>', 'Sprite sheet image format: jpg or webp', 'jpg')
+  .option('--encrypt', 'Encrypt segments with AES-128 (requires --segment-format ts)', false)
+  .option('--key-uri <template>', 'Key URI written to #EXT-X-KEY; {key} is replaced by the key file name and {index} by the key number', '{key}')
+  .option('--key-dir <folder>', 'Folder for the generated keys, must be outside the output folder (default: <output>-keys)', '')
+  .option('--key-iv <hex>', 'Explicit 128-bit IV as 32 hex digits, or "random" for a new IV per key (default: segment sequence number)', '')
+  .option('--key-rotation <segments>', 'Generate a new key every N segments (0 = one key for the whole stream)', '0')
+  .option('--iframe-playlists [qualities]', 'Write I-frame (trick-play) playlists for all qualities, or a comma-separated list such as 360,720')
+  .option('--measure-quality', 'Compare every rendition with the source (SSIM, PSNR and VMAF when available) and write quality-report.json', false)
+  .option('--quality-thresholds <list>', 'Comma-separated minimum average scores before a rendition is flagged, e.g. vmaf=80,ssim=0.95 (default: vmaf=60,ssim=0.92,psnr=32)')
+  .option('--resume', 'Resume an interrupted job in the output folder, skipping renditions that already finished', false)
   .option('--gpu', 'Use GPU acceleration if available', false)
   .option('--gpu-type <type>', 'GPU type: nvidia, intel, amd, apple (auto-detected if not specified)', 'auto')
   .option('--show-gpu-usage', 'Show GPU usage during transcoding', false)
+  .option('--source-header <header>', 'Request header for URL inputs as "Name: value", e.g. an Authorization header (repeatable)', (value, list) => list.concat(value), [])
+  .option('--source-checksum <checksum>', 'Verify the source against <algorithm>:<hex digest>, e.g. sha256:9f86d0... (md5, sha1, sha256, sha512)')
+  .option('--stream-input', 'Read a URL input directly instead of downloading it first', false)
+  .option('--ingest', 'Treat the input as an HLS playlist or DASH manifest and transcode its highest variant (implied by .m3u8/.mpd inputs)', false)
+  .option('--s3-endpoint <url>', 'S3-compatible endpoint for s3:// outputs, e.g. http://localhost:9000 for MinIO (default: $AWS_ENDPOINT_URL_S3 or AWS)')
+  .option('--s3-region <region>', 'Region used to sign S3 requests (default: $AWS_REGION or us-east-1)')
+  .option('--webhook <url>', 'POST a JSON event to this URL when the job starts, completes or fails')
+  .option('--webhook-secret <secret>', 'Sign webhook requests with HMAC-SHA256 using this secret (default: $TRANSCODE_WEBHOOK_SECRET)')
+  .option('--webhook-retries <number>', 'Attempts after the first before a webhook delivery is given up', '5')
+  .option('--progress <mode>', 'Progress output: auto (status line on a terminal, a log line every 30s otherwise), json (newline-delimited JSON events on stdout, logs on stderr) or none', 'auto')
   .option('--dry-run', 'Show what would be done without actually doing it', false)
   .action(async (options) => {
+    // Machine-readable progress owns stdout
+    const print = options.progress === 'json' ? console.error : console.log;
+    if (options.progress === 'json') {
+      logToStderr();
+    }
+
     try {
-      if (!options.input) {
-        console.error('❌ Error: Input file is required (-i)');
-        process.exit(1);
-      }
-      
-      if (!options.output) {
-        console.error('❌ Error: Output folder is required (-o)');
-        process.exit(1);
-      }
+      const jobOptions = await resolveOptions({
+        configFile: options.config ? path.resolve(options.config) : null,
+        profile: options.profile,
+        cliOptions: getCliOptions(options)
+      });
 
-      // Validate segment options
-      if (options.segmentSize && options.segmentDuration && options.segmentDuration !== '6') {
-        console.error('❌ Error: Cannot specify both --segment-duration and --segment-size');
-        process.exit(1);
-      }
+      if (jobOptions.batch) {
+        if (options.progress === 'json') {
+          throw new Error('--progress json is not supported with --batch, read batch-results.json instead');
+        }
+        const { batch, batchConcurrency = 2, output, ...batchOptions } = jobOptions;
+        const summary = await runBatch({ source: batch, output, concurrency: batchConcurrency, options: batchOptions });
 
-      // Validate numeric inputs
-      const bandwidthRatio = parseFloat(options.bandwidthRatio);
-      if (isNaN(bandwidthRatio) || bandwidthRatio < 0.1 || bandwidthRatio > 2.0) {
-        console.error('❌ Error: Bandwidth ratio must be between 0.1 and 2.0');
-        process.exit(1);
+        print(`\n${formatBatchSummary(summary.results)}`);
+        print(`\n📚 ${summary.succeeded} of ${summary.total} inputs succeeded, results written to ${summary.resultsFile}`);
+        if (summary.failed > 0) {
+          process.exit(1);
+        }
+        return;
       }
 
-      const crfOffset = parseInt(options.crfOffset);
-      if (isNaN(crfOffset) || crfOffset < -5 || crfOffset > 5) {
-        console.error('❌ Error: CRF offset must be between -5 and +5');
-        process.exit(1);
+      const events = new EventEmitter();
+      const finishProgress = reportJobProgress(events, options.progress);
+      let result;
+      try {
+        result = await transcodeVideo({ ...jobOptions, events });
+        finishProgress(null, result);
+      } catch (error) {
+        finishProgress(error);
+        throw error;
       }
 
-      const minQuality = parseInt(options.minQuality);
-      if (isNaN(minQuality) || ![144, 240, 360, 480, 540, 720, 1080, 1440, 2160, 2880, 3600, 4320, 5040, 5760, 6480, 7200, 7920, 8640].includes(minQuality)) {
-        console.error('❌ Error: Min quality must be a supported resolution');
-        process.exit(1);
+      if (!jobOptions.dryRun) {
+        print('\n✅ Transcoding completed successfully!');
+        print(`📁 HLS files are available in: ${result.output}`);
+      } else {
+        print('\n📋 Dry run completed successfully!');
       }
 
-      const segmentDuration = options.segmentSize ? null : parseInt(options.segmentDuration);
-      if (segmentDuration && (isNaN(segmentDuration) || segmentDuration <= 0)) {
-        console.error('❌ Error: Segment duration must be a positive number');
-        process.exit(1);
-      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
 
-      const segmentSize = options.segmentSize ? parseFloat(options.segmentSize) : null;
-      if (segmentSize && (isNaN(segmentSize) || segmentSize <= 0)) {
-        console.error('❌ Error: Segment size must be a positive number');
-        process.exit(1);
+program
+  .command('watch <inbox>')
+  .description('Watch an inbox folder and transcode every file that arrives, moving sources to done/ or failed/')
+  .requiredOption('-o, --output <folder>', 'Root folder for the HLS output, mirroring the inbox subfolders')
+  .option('--config <file>', 'Job config file (.json, .yaml or .yml) with the encoding options and profiles')
+  .option('--profile <name>', 'Profile for files in the inbox root and in subfolders without a profile')
+  .option('--folder-profiles <list>', 'Comma-separated subfolder=profile pairs (default: a subfolder uses the profile with its name, if any)', '')
+  .option('--settle <seconds>', 'Seconds a file must stop growing before it is transcoded', '10')
+  .option('--poll <seconds>', 'Seconds between inbox scans', '5')
+  .option('--concurrency <number>', 'Simultaneous FFmpeg encodes shared by all jobs', '2')
+  .option('--journal <file>', 'Job journal used to resume after a restart (default: <output>/watch-journal.json)')
+  .action(async (inbox, options) => {
+    try {
+      const folderProfiles = {};
+      options.folderProfiles.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        const match = /^([^=]+)=(.+)$/.exec(item);
+        if (!match) {
+          throw new Error(`Invalid value for --folder-profiles: expected subfolder=profile, got "${item}"`);
+        }
+        folderProfiles[match[1].trim()] = match[2].trim();
+      });
+
+      const settle = Number(options.settle);
+      const poll = Number(options.poll);
+      const concurrency = Number(options.concurrency);
+      if (!(settle >= 0) || !(poll > 0)) {
+        throw new Error('--settle must be a number of seconds (0 or more) and --poll a positive number of seconds');
       }
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`Invalid value for --concurrency: expected a positive integer, got "${options.concurrency}"`);
+      }
+
+      const watcher = new WatchFolder({
+        inbox,
+        output: options.output,
+        configFile: options.config ? path.resolve(options.config) : null,
+        profile: options.profile || null,
+        folderProfiles,
+        settle,
+        poll,
+        concurrency,
+        journalFile: options.journal ? path.resolve(options.journal) : null
+      });
+
+      // First signal finishes the running jobs, a second one exits right away;
+      // unfinished jobs are resumed from the journal on the next start
+      let signals = 0;
+      const shutdown = () => {
+        if (++signals > 1) process.exit(130);
+        watcher.stop();
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+
+      await watcher.start();
+      console.log('\n👋 Watcher stopped');
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
 
-      const maxConcurrent = options.maxConcurrent ? parseInt(options.maxConcurrent) : null;
-      if (maxConcurrent && (isNaN(maxConcurrent) || maxConcurrent <= 0)) {
-        console.error('❌ Error: Max concurrent must be a positive number');
-        process.exit(1);
+program
+  .command('live')
+  .description('Transcode a continuous input (UDP/SRT/RTMP, a looping file or a test pattern) into a sliding-window live HLS stream')
+  .option('-i, --input <source>', 'Live input: udp://, srt:// or rtmp:// URL, or a file (use --loop to repeat it)')
+  .requiredOption('-o, --output <folder>', 'Output folder for the live playlists and segments')
+  .option('--test-source', 'Use a generated test pattern with a tone instead of an input', false)
+  .option('--loop', 'Repeat a file input forever', false)
+  .option('--listen', 'Wait for the sender to connect: rtmp:// is served with -listen 1, srt:// in listener mode (udp:// always listens)', false)
+  .option('--ladder <rungs>', 'Renditions as [WIDTHx]HEIGHT:BITRATE[:MAXBITRATE[:FPS[:PROFILE]]],...', DEFAULT_LIVE_LADDER)
+  .option('--fps <number>', 'Frame rate of the source, used for the GOP and codec levels', '30')
+  .option('--segment-duration <seconds>', 'Target segment duration in seconds', '4')
+  .option('--window <segments>', 'Segments listed in each live playlist', '6')
+  .option('--keep-segments', 'Keep segments that slide out of the window instead of deleting them', false)
+  .option('--preset <preset>', 'FFmpeg preset for the renditions (ultrafast,superfast,veryfast,faster,fast,medium,slow,slower,veryslow)', 'veryfast')
+  .action(async (options) => {
+    try {
+      const fps = Number(options.fps);
+      const segmentDuration = Number(options.segmentDuration);
+      const windowSize = Number(options.window);
+      if (!(fps > 0) || !(segmentDuration > 0)) {
+        throw new Error('--fps and --segment-duration must be positive numbers');
+      }
+      if (!Number.isInteger(windowSize) || windowSize < 1) {
+        throw new Error(`Invalid value for --window: expected a positive integer, got "${options.window}"`);
       }
 
-      await transcodeVideo({
-        input: options.input,
-        output: path.resolve(options.output),
-        bandwidthRatio,
+      const live = new LiveTranscoder({
+        input: options.input || null,
+        output: options.output,
+        testSource: options.testSource,
+        loop: options.loop,
+        listen: options.listen,
+        ladder: parseLadder(options.ladder),
         segmentDuration,
-        segmentSize,
-        preset: options.preset,
-        crfOffset,
-        minQuality,
-        skipAnalysis: options.skipAnalysis,
-        sequential: options.sequential,
-        maxConcurrent,
-        useGpu: options.gpu,
-        gpuType: options.gpuType,
-        showGpuUsage: options.showGpuUsage,
-        dryRun: options.dryRun
+        windowSize,
+        deleteSegments: !options.keepSegments,
+        fps,
+        preset: options.preset
       });
 
-      if (!options.dryRun) {
-        console.log('\n✅ Transcoding completed successfully!');
-        console.log(`📁 HLS files are available in: ${path.resolve(options.output)}`);
-      } else {
-        console.log('\n📋 Dry run completed successfully!');
+      // First signal stops the encoders, a second one exits right away
+      let signals = 0;
+      const shutdown = () => {
+        if (++signals > 1) process.exit(130);
+        live.stop();
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+
+      await live.start();
+      console.log('\n👋 Live transcoding stopped');
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('serve-api')
+  .description('Run a local HTTP API that queues transcoding jobs and reports their progress')
+  .option('--port <number>', 'Port to listen on', '8080')
+  .option('--host <address>', 'Address to bind; use 0.0.0.0 to accept remote connections', '127.0.0.1')
+  .option('--workers <number>', 'Jobs transcoded at the same time', '1')
+  .option('--state <file>', 'Job queue file, kept across restarts', QUEUE_FILE)
+  .option('--token <secret>', 'Require "Authorization: Bearer <secret>" on every request (default: $TRANSCODE_API_TOKEN)')
+  .action(async (options) => {
+    try {
+      const port = Number(options.port);
+      const workers = Number(options.workers);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid value for --port: expected a port number, got "${options.port}"`);
+      }
+      if (!Number.isInteger(workers) || workers < 1) {
+        throw new Error(`Invalid value for --workers: expected a positive integer, got "${options.workers}"`);
       }
 
+      const api = await startApiServer({
+        port,
+        host: options.host,
+        stateFile: path.resolve(options.state),
+        workers,
+        token: options.token || process.env.TRANSCODE_API_TOKEN || null
+      });
+
+      // Running jobs are killed and queued again; a second signal exits right away
+      let signals = 0;
+      const shutdown = async () => {
+        if (++signals > 1) process.exit(130);
+        console.log('\n🛑 Stopping the API server, running jobs resume on the next start');
+        await api.close();
+        process.exit(0);
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
     } catch (error) {
       console.error('❌ Error:', error.message);
       process.exit(1);
     }
   });
 
+// Options passed explicitly on the command line, converted to transcodeVideo option names and types.
+// Defaults are left out so they never override values from a config file.
+function getCliOptions(options) {
+  const cliOptions = {};
+
+  Object.keys(options).forEach(name => {
+    if (program.getOptionValueSource(name) !== 'cli' || ['config', 'profile', 'progress'].includes(name)) return;
+    const value = options[name];
+
+    switch (name) {
+      case 'gpu':
+        cliOptions.useGpu = value;
+        break;
+      case 'thumbnailGrid': {
+        const match = /^(\d+)x(\d+)$/i.exec(value);
+        if (!match) {
+          throw new Error(`Invalid value for --thumbnail-grid: expected columns x rows such as 5x5, got "${value}"`);
+        }
+        cliOptions.thumbnailColumns = parseInt(match[1]);
+        cliOptions.thumbnailRows = parseInt(match[2]);
+        break;
+      }
+      case 'output':
+      case 'keyDir':
+        cliOptions[name] = isS3Url(value) ? value : path.resolve(value);
+        break;
+      case 'sourceHeader':
+        cliOptions.sourceHeaders = parseHeaders(value);
+        break;
+      case 'subtitles':
+        cliOptions.subtitles = value.split(',').map(f => path.resolve(f.trim()));
+        break;
+      default:
+        cliOptions[name] = parseCliValue(name, value);
+    }
+  });
+
+  return cliOptions;
+}
+
 program.parse();
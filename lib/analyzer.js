@@ -1,14 +1,22 @@
 const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const { logger, createLogger } = require('./logger');
+const { getResolutionPreset } = require('./presets');
+const { QUALITY_METRICS, formatScore, measureQuality } = require('./metrics');
+const { killOnAbort, throwIfCancelled } = require('./utils');
 
-function analyzeSource(inputFile) {
+// Subtitle codecs that can be converted to WebVTT (bitmap subtitles such as PGS are skipped)
+const TEXT_SUBTITLE_CODECS = ['mov_text', 'subrip', 'srt', 'ass', 'ssa', 'webvtt'];
+
+// inputOptions go before the input, e.g. to read a streamed or ingested source
+function analyzeSource(inputFile, inputOptions = []) {
   const analyzeLogger = createLogger('analyzer');
   return new Promise((resolve, reject) => {
     analyzeLogger.info('🔍 Analyzing source file...');
     
-    ffmpeg.ffprobe(inputFile, (err, metadata) => {
+    ffmpeg.ffprobe(inputFile, inputOptions, (err, metadata) => {
       if (err) {
         reject(new Error(`Failed to analyze source: ${err.message}`));
         return;
@@ -107,6 +115,35 @@ function analyzeSource(inputFile) {
           };
         }
 
+        // Collect every audio track so each one can become its own rendition
+        const audioTracks = metadata.streams
+          .filter(stream => stream.codec_type === 'audio')
+          .map((stream, audioIndex) => ({
+            index: stream.index,
+            audioIndex,
+            codec: stream.codec_name || 'unknown',
+            channels: stream.channels || 2,
+            sampleRate: stream.sample_rate ? parseInt(stream.sample_rate) : 44100,
+            bitrate: stream.bit_rate ? Math.round(parseInt(stream.bit_rate) / 1000) : null,
+            language: (stream.tags && stream.tags.language) || 'und',
+            title: (stream.tags && stream.tags.title) || null,
+            isDefault: !!(stream.disposition && stream.disposition.default)
+          }));
+
+        // Collect text subtitle streams that can be converted to WebVTT
+        const subtitleTracks = metadata.streams
+          .filter(stream => stream.codec_type === 'subtitle')
+          .map((stream, subtitleIndex) => ({
+            index: stream.index,
+            subtitleIndex,
+            codec: stream.codec_name || 'unknown',
+            language: (stream.tags && stream.tags.language) || 'und',
+            title: (stream.tags && stream.tags.title) || null,
+            isDefault: !!(stream.disposition && stream.disposition.default),
+            isForced: !!(stream.disposition && stream.disposition.forced)
+          }))
+          .filter(track => TEXT_SUBTITLE_CODECS.includes(track.codec));
+
         // Get file size
         const fileSize = metadata.format.size ? parseInt(metadata.format.size) : 0;
 
@@ -123,6 +160,12 @@ function analyzeSource(inputFile) {
         if (audioInfo) {
           analyzeLogger.info(`   Audio: ${audioInfo.codec}, ${audioInfo.channels} channels, ${audioInfo.sampleRate}Hz`);
         }
+        if (audioTracks.length > 1) {
+          analyzeLogger.info(`   Audio Tracks: ${audioTracks.map(t => t.language).join(', ')}`);
+        }
+        if (subtitleTracks.length > 0) {
+          analyzeLogger.info(`   Subtitle Tracks: ${subtitleTracks.map(t => `${t.language} (${t.codec})`).join(', ')}`);
+        }
 
         resolve({
           width,
@@ -135,6 +178,8 @@ function analyzeSource(inputFile) {
           videoStream,
           audioStream,
           audioInfo,
+          audioTracks,
+          subtitleTracks,
           fileSize,
           codecName,
           codecProfile,
@@ -296,7 +341,230 @@ function getOptimalQualities(sourceHeight, minQuality = 360) {
   return minQualities;
 }
 
+// Per-title analysis: sample encodes of short excerpts at a few CRFs give a rate-quality
+// curve per resolution, and the ladder is picked from those curves instead of from the
+// source height alone.
+const PER_TITLE_CRFS = [20, 26, 32];
+// Default quality of the top rung per metric; lower rungs stop at the metric's floor
+const PER_TITLE_TARGETS = {
+  vmaf: 93,
+  ssim: 0.98,
+  psnr: 42
+};
+const PER_TITLE_STEP = 1.7;          // Bitrate ratio between neighbouring rungs
+const PER_TITLE_MIN_BITRATE = 150;   // kbps
+const PER_TITLE_MAX_RUNGS = 8;
+
+// Spread sample windows evenly over the source, keeping away from the very start and end
+function pickSampleWindows(duration, count = 3, sampleDuration = 4) {
+  if (duration <= sampleDuration * count) {
+    return [{ start: 0, duration: Math.min(duration, sampleDuration * count) }];
+  }
+
+  const windows = [];
+  for (let i = 0; i < count; i++) {
+    const center = duration * (i + 1) / (count + 1);
+    const start = Math.max(0, Math.min(duration - sampleDuration, center - sampleDuration / 2));
+    windows.push({ start: Math.round(start * 1000) / 1000, duration: sampleDuration });
+  }
+  return windows;
+}
+
+// Encode one excerpt with fast x264 settings and return its size in bytes
+function encodeSample(inputFile, window, resolution, crf, file, signal = null) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputFile);
+    const detach = killOnAbort(signal, command);
+    command
+      .inputOptions(['-ss', window.start.toString(), '-t', window.duration.toString()])
+      .outputOptions(
+        '-map', '0:v:0',
+        '-an',
+        '-vf', `scale=${resolution.width}:${resolution.height}`,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-crf', crf.toString(),
+        '-pix_fmt', 'yuv420p'
+      )
+      .on('end', async () => {
+        detach();
+        try {
+          resolve((await fs.stat(file)).size);
+        } catch (error) {
+          reject(error);
+        }
+      })
+      .on('error', (err) => {
+        detach();
+        reject(new Error(`Sample encode failed: ${err.message}`));
+      })
+      .save(file);
+  });
+}
+
+// Keep scores non-decreasing with bitrate so sample noise cannot fold the curve back
+function toCurvePoints(samples) {
+  const points = [...samples].sort((a, b) => a.bitrate - b.bitrate);
+  for (let i = 1; i < points.length; i++) {
+    points[i] = { ...points[i], score: Math.max(points[i].score, points[i - 1].score) };
+  }
+  return points;
+}
+
+// Score at a bitrate, interpolated on log(bitrate); extrapolated downwards, flat above the best sample
+function interpolateScore(points, bitrate) {
+  const last = points[points.length - 1];
+  if (bitrate >= last.bitrate) return last.score;
+  if (points.length === 1) return points[0].score;
+
+  let i = points.findIndex(point => point.bitrate > bitrate) - 1;
+  if (i < 0) i = 0;
+  const [a, b] = [points[i], points[i + 1]];
+  const t = (Math.log(bitrate) - Math.log(a.bitrate)) / (Math.log(b.bitrate) - Math.log(a.bitrate));
+  return a.score + t * (b.score - a.score);
+}
+
+// Bitrate needed for a score, or null when no sample reaches it
+function interpolateBitrate(points, score) {
+  const last = points[points.length - 1];
+  if (score > last.score) return null;
+  if (points.length === 1 || score <= points[0].score) {
+    const [a, b] = points;
+    if (!b || b.score <= a.score) return a.bitrate;
+    // Extend the lowest segment of the curve below the cheapest sample
+    const slope = (b.score - a.score) / (Math.log(b.bitrate) - Math.log(a.bitrate));
+    return Math.exp(Math.log(a.bitrate) - (a.score - score) / slope);
+  }
+
+  const i = points.findIndex(point => point.score >= score) - 1;
+  const [a, b] = [points[i], points[i + 1]];
+  const t = (score - a.score) / (b.score - a.score);
+  return Math.exp(Math.log(a.bitrate) + t * (Math.log(b.bitrate) - Math.log(a.bitrate)));
+}
+
+// Pick rungs from the rate-quality curves: the top rung is the cheapest resolution that
+// reaches the target, then each rung steps the bitrate down and takes whichever lower
+// resolution scores best there, until the quality floor or the minimum bitrate is hit.
+function choosePerTitleLadder(curves, { metric, target, floor }) {
+  const metricName = QUALITY_METRICS[metric].name;
+  const score = (value) => formatScore(metric, value);
+  const reasons = [];
+
+  const reaching = curves
+    .map(curve => ({ curve, bitrate: interpolateBitrate(curve.points, target) }))
+    .filter(candidate => candidate.bitrate !== null)
+    .sort((a, b) => a.bitrate - b.bitrate || b.curve.height - a.curve.height);
+
+  let top;
+  if (reaching.length > 0) {
+    top = { height: reaching[0].curve.height, bitrate: Math.round(reaching[0].bitrate), score: target };
+    reasons.push(`${top.height}p reaches ${metricName} ${score(target)} at ${top.bitrate}k, the lowest bitrate of any resolution`);
+  } else {
+    const highest = curves[0];
+    const best = highest.points[highest.points.length - 1];
+    top = { height: highest.height, bitrate: Math.round(best.bitrate), score: best.score };
+    reasons.push(`No resolution reaches ${metricName} ${score(target)}; top rung is ${top.height}p at its best sample (${score(best.score)} at ${top.bitrate}k)`);
+  }
+
+  const rungs = [top];
+  let bitrate = top.bitrate;
+  while (rungs.length < PER_TITLE_MAX_RUNGS) {
+    const previous = rungs[rungs.length - 1];
+    bitrate /= PER_TITLE_STEP;
+
+    const lower = curves.filter(curve => curve.height < previous.height);
+    if (lower.length === 0) {
+      reasons.push(`Stopped at ${previous.height}p: no lower resolution to step down to`);
+      break;
+    }
+    if (bitrate < PER_TITLE_MIN_BITRATE) {
+      reasons.push(`Stopped: the next step (${Math.round(bitrate)}k) is below the ${PER_TITLE_MIN_BITRATE}k minimum`);
+      break;
+    }
+
+    const best = lower
+      .map(curve => ({ curve, score: interpolateScore(curve.points, bitrate) }))
+      .sort((a, b) => b.score - a.score)[0];
+    if (best.score < floor) {
+      reasons.push(`Stopped: at ${Math.round(bitrate)}k the best resolution only reaches ${metricName} ${score(best.score)} (floor ${score(floor)})`);
+      break;
+    }
+
+    rungs.push({ height: best.curve.height, bitrate: Math.round(bitrate), score: best.score });
+    reasons.push(`${Math.round(bitrate)}k: ${best.curve.height}p scores highest among lower resolutions (${metricName} ${score(best.score)})`);
+  }
+
+  return { rungs, reasons };
+}
+
+// Run the per-title analysis and return the curves, the chosen ladder rungs and the reasoning
+async function analyzePerTitle(inputFile, sourceInfo, { metric = 'vmaf', target = null, minQuality = 360, samples = 3, sampleDuration = 4, signal = null } = {}) {
+  const perTitleLogger = createLogger('per-title');
+  if (!sourceInfo.duration) {
+    throw new Error('Per-title analysis needs the source duration');
+  }
+
+  const goal = {
+    metric,
+    target: target !== null ? target : PER_TITLE_TARGETS[metric],
+    floor: QUALITY_METRICS[metric].floor
+  };
+  const windows = pickSampleWindows(sourceInfo.duration, samples, sampleDuration);
+  const sampleSeconds = windows.reduce((sum, window) => sum + window.duration, 0);
+  const heights = getOptimalQualities(sourceInfo.height, minQuality).map(q => q.height);
+
+  perTitleLogger.info(`📈 Per-title analysis: ${windows.length} excerpts x ${heights.length} resolutions x ${PER_TITLE_CRFS.length} CRFs, target ${QUALITY_METRICS[metric].name} ${formatScore(metric, goal.target)}`);
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'per-title-'));
+  const startTime = Date.now();
+  try {
+    const curves = [];
+    for (const height of heights) {
+      const resolution = getResolutionPreset(height, sourceInfo.aspectRatio);
+      const samplePoints = [];
+
+      for (const crf of PER_TITLE_CRFS) {
+        let bytes = 0;
+        let weightedScore = 0;
+        for (let i = 0; i < windows.length; i++) {
+          throwIfCancelled(signal);
+          const file = path.join(tempDir, `sample_${height}_${crf}_${i}.mp4`);
+          bytes += await encodeSample(inputFile, windows[i], resolution, crf, file, signal);
+          const windowScore = await measureQuality({
+            distorted: file,
+            reference: inputFile,
+            start: windows[i].start,
+            duration: windows[i].duration,
+            width: sourceInfo.width,
+            height: sourceInfo.height,
+            metric,
+            signal
+          });
+          weightedScore += windowScore * windows[i].duration;
+          await fs.remove(file);
+        }
+        samplePoints.push({ crf, bitrate: Math.round(bytes * 8 / sampleSeconds / 1000), score: weightedScore / sampleSeconds });
+      }
+
+      const curve = { height, width: resolution.width, points: toCurvePoints(samplePoints) };
+      curves.push(curve);
+      perTitleLogger.info(`   ${height}p: ${samplePoints.map(p => `CRF ${p.crf} ${p.bitrate}k -> ${formatScore(metric, p.score)}`).join(', ')}`);
+    }
+
+    const { rungs, reasons } = choosePerTitleLadder(curves, goal);
+    perTitleLogger.info(`🧠 Per-title ladder (${((Date.now() - startTime) / 1000).toFixed(1)}s):`);
+    reasons.forEach(reason => perTitleLogger.info(`   ${reason}`));
+
+    return { ...goal, windows, curves, rungs, reasons };
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
 module.exports = {
   analyzeSource,
-  getOptimalQualities
+  getOptimalQualities,
+  PER_TITLE_TARGETS,
+  choosePerTitleLadder,
+  analyzePerTitle
 };
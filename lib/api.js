@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const http = require('http');
+const { createLogger } = require('./logger');
+const { JobQueue, getJobProgress } = require('./queue');
+
+// Largest request body accepted, job options are small
+const MAX_BODY_SIZE = 1024 * 1024;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(res, status, body) {
+  const text = JSON.stringify(body, null, 2);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+  res.end(text);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(httpError(413, `Request body is larger than ${MAX_BODY_SIZE} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(httpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Compare bearer tokens in constant time
+function isAuthorized(req, token) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Short form used in job lists
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    input: job.options.input,
+    output: job.options.output,
+    progress: getJobProgress(job),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error
+  };
+}
+
+// Job options without the credentials they carry, which only the worker needs
+function redactOptions(options) {
+  const redacted = { ...options };
+  if (redacted.webhookSecret) {
+    redacted.webhookSecret = '[redacted]';
+  }
+  if (redacted.sourceHeaders) {
+    redacted.sourceHeaders = Object.fromEntries(Object.keys(redacted.sourceHeaders).map(name => [name, '[redacted]']));
+  }
+  return redacted;
+}
+
+// Full job with its options and per-rendition progress
+function describeJob(job) {
+  return {
+    ...summarizeJob(job),
+    attempts: job.attempts,
+    cancelRequested: Boolean(job.cancelRequested),
+    options: redactOptions(job.options),
+    renditions: Object.entries(job.renditions).map(([playlist, r]) => ({ playlist, ...r }))
+  };
+}
+
+// Route a request to the queue:
+//   POST   /jobs                 submit a job (body: transcodeVideo options)
+//   GET    /jobs[?status=...]    list jobs
+//   GET    /jobs/:id             status and per-rendition progress
+//   DELETE /jobs/:id             cancel a queued or running job
+//   GET    /jobs/:id/manifests   manifest paths of a finished job
+async function handleRequest(req, res, queue) {
+  const url = new URL(req.url, 'http://localhost');
+  const [collection, id, action, ...rest] = url.pathname.split('/').filter(Boolean);
+  if (collection !== 'jobs' || rest.length > 0 || (action && action !== 'manifests')) {
+    throw httpError(404, `Not found: ${url.pathname}`);
+  }
+
+  if (!id) {
+    if (req.method === 'POST') {
+      const options = await readJsonBody(req);
+      try {
+        return sendJson(res, 201, { job: describeJob(await queue.submit(options)) });
+      } catch (error) {
+        throw httpError(400, error.message);
+      }
+    }
+    if (req.method === 'GET') {
+      let jobs;
+      try {
+        jobs = queue.list({ status: url.searchParams.get('status') });
+      } catch (error) {
+        throw httpError(400, error.message);
+      }
+      return sendJson(res, 200, { jobs: jobs.map(summarizeJob) });
+    }
+    throw httpError(405, `${req.method} is not supported on /jobs`);
+  }
+
+  const job = queue.get(id);
+  if (!job) {
+    throw httpError(404, `Unknown job: ${id}`);
+  }
+
+  if (action === 'manifests') {
+    if (req.method !== 'GET') {
+      throw httpError(405, `${req.method} is not supported on /jobs/${id}/manifests`);
+    }
+    if (job.status !== 'complete') {
+      throw httpError(409, `Job ${id} is ${job.status}, manifests are available once it is complete`);
+    }
+    return sendJson(res, 200, { id, manifests: job.manifests });
+  }
+
+  if (req.method === 'GET') {
+    return sendJson(res, 200, { job: describeJob(job) });
+  }
+  if (req.method === 'DELETE') {
+    try {
+      await queue.cancel(id);
+    } catch (error) {
+      throw httpError(409, error.message);
+    }
+    // Running jobs are cancelled asynchronously, once their encodes have been killed
+    return sendJson(res, job.status === 'cancelled' ? 200 : 202, { job: describeJob(job) });
+  }
+  throw httpError(405, `${req.method} is not supported on /jobs/${id}`);
+}
+
+// HTTP server for a job queue; with a token every request needs "Authorization: Bearer <token>"
+function createApiServer({ queue, token = null }) {
+  const apiLogger = createLogger('api');
+
+  return http.createServer((req, res) => {
+    const run = token && !isAuthorized(req, token)
+      ? Promise.reject(httpError(401, 'Missing or invalid bearer token'))
+      : handleRequest(req, res, queue);
+
+    run.catch(error => {
+      const status = error.status || 500;
+      if (status === 500) {
+        apiLogger.error(`❌ ${req.method} ${req.url} failed: ${error.message}`);
+      }
+      if (!res.headersSent) {
+        sendJson(res, status, { error: error.message });
+      }
+    });
+  });
+}
+
+// Load the queue, start its workers and listen. Resolves with the server, the queue and a
+// close() that stops both; interrupted jobs resume when the server starts again.
+async function startApiServer({ port = 8080, host = '127.0.0.1', stateFile, workers = 1, token = null }) {
+  const apiLogger = createLogger('api');
+  const queue = new JobQueue({ stateFile, workers });
+  await queue.load();
+
+  const server = createApiServer({ queue, token });
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+  } catch (error) {
+    await queue.stop();
+    throw new Error(`Cannot listen on ${host}:${port}: ${error.message}`);
+  }
+  apiLogger.info(`🌐 Job API listening on http://${host}:${server.address().port}${token ? ' (bearer token required)' : ''}`);
+
+  const close = async () => {
+    await new Promise(resolve => {
+      server.close(resolve);
+      if (server.closeIdleConnections) server.closeIdleConnections();
+    });
+    await queue.stop();
+  };
+  return { server, queue, close };
+}
+
+module.exports = {
+  createApiServer,
+  startApiServer
+};
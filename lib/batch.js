@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const path = require('path');
+const fg = require('fast-glob');
+const { createLogger } = require('./logger');
+const { transcodeVideo } = require('./transcoder');
+const { isUrl, formatFileSize, sanitizeFilename, getDirectorySize, ConcurrencyBudget } = require('./utils');
+
+const RESULTS_FILE = 'batch-results.json';
+
+// Files picked up when a batch source is a directory
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.mkv', '.webm', '.avi', '.wmv', '.flv', '.mpg', '.mpeg', '.ts', '.mts', '.mxf'];
+
+// Expand a batch source into input files or URLs: a directory (its video files),
+// a glob pattern, or a list file with one path or URL per line (# starts a comment)
+async function expandBatchInputs(source) {
+  let inputs;
+
+  if (await fs.pathExists(source)) {
+    const stats = await fs.stat(source);
+    if (stats.isDirectory()) {
+      const files = await fs.readdir(source);
+      inputs = files
+        .filter(file => VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .map(file => path.resolve(source, file));
+    } else if (VIDEO_EXTENSIONS.includes(path.extname(source).toLowerCase())) {
+      inputs = [path.resolve(source)];
+    } else {
+      // Relative entries in a list file are relative to the list file
+      const baseDir = path.dirname(path.resolve(source));
+      inputs = (await fs.readFile(source, 'utf8'))
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => (isUrl(line) ? line : path.resolve(baseDir, line)));
+    }
+  } else if (fg.isDynamicPattern(source)) {
+    inputs = await fg(source.replace(/\\/g, '/'), { onlyFiles: true, absolute: true });
+  } else {
+    throw new Error(`Batch source not found: ${source}`);
+  }
+
+  inputs = [...new Set(inputs)].sort();
+  if (inputs.length === 0) {
+    throw new Error(`No inputs found in ${source}`);
+  }
+  return inputs;
+}
+
+// One output subfolder per input, named after the file; repeated names get a numeric suffix
+function planBatchOutputs(inputs, output) {
+  const used = new Map();
+  return inputs.map(input => {
+    const fileName = isUrl(input) ? decodeURIComponent(new URL(input).pathname.split('/').pop() || 'video') : path.basename(input);
+    const baseName = sanitizeFilename(path.basename(fileName, path.extname(fileName))) || 'video';
+
+    const count = (used.get(baseName) || 0) + 1;
+    used.set(baseName, count);
+    return { input, output: path.join(output, count > 1 ? `${baseName}_${count}` : baseName) };
+  });
+}
+
+// Summary table for the console, one row per input
+function formatBatchSummary(results) {
+  const rows = results.map(result => [
+    result.status === 'success' ? 'OK' : 'FAILED',
+    isUrl(result.input) ? result.input : path.basename(result.input),
+    `${result.duration.toFixed(1)}s`,
+    result.status === 'success' ? formatFileSize(result.outputSize) : '-',
+    result.status === 'success' ? result.output : result.error
+  ]);
+  const header = ['Status', 'Input', 'Duration', 'Size', 'Output / Error'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const formatRow = (row) => row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ');
+
+  return [formatRow(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(formatRow)].join('\n');
+}
+
+// Transcode every input into its own subfolder of output. concurrency is the global number of
+// simultaneous FFmpeg encodes, shared by all jobs; a failed job is recorded and the batch goes on.
+async function runBatch({ source, output, concurrency = 2, options = {} }) {
+  const batchLogger = createLogger('batch');
+  const inputs = await expandBatchInputs(source);
+  const jobs = planBatchOutputs(inputs, output);
+  const budget = new ConcurrencyBudget(concurrency);
+  const startedAt = new Date();
+
+  batchLogger.info(`📚 Batch: ${jobs.length} inputs from ${source}, ${concurrency} concurrent encodes`);
+  await fs.ensureDir(output);
+
+  const results = [];
+  const resultsPath = path.join(output, RESULTS_FILE);
+  let saving = Promise.resolve();
+  // Rewritten after every job so the file is useful even if the batch is interrupted
+  const saveResults = () => {
+    const summary = {
+      source,
+      startedAt: startedAt.toISOString(),
+      finishedAt: results.length === jobs.length ? new Date().toISOString() : null,
+      duration: Math.round((Date.now() - startedAt.getTime()) / 100) / 10,
+      total: jobs.length,
+      succeeded: results.filter(r => r.status === 'success').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      results: jobs.map(job => results.find(r => r.input === job.input)).filter(Boolean)
+    };
+    saving = saving.catch(() => {}).then(() => fs.writeJson(resultsPath, summary, { spaces: 2 }));
+    return saving.then(() => summary);
+  };
+
+  const runJob = async (job, index) => {
+    const jobStart = Date.now();
+    batchLogger.info(`▶️ [${index + 1}/${jobs.length}] ${job.input} -> ${job.output}`);
+
+    const result = { input: job.input, output: job.output, status: 'success', startedAt: new Date(jobStart).toISOString(), duration: 0, outputSize: 0, error: null };
+    try {
+      await transcodeVideo({ ...options, input: job.input, output: job.output, budget });
+      result.outputSize = await getDirectorySize(job.output);
+      batchLogger.info(`✅ [${index + 1}/${jobs.length}] ${job.input} finished`);
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+      batchLogger.error(`❌ [${index + 1}/${jobs.length}] ${job.input} failed: ${error.message}`);
+    }
+    result.duration = Math.round((Date.now() - jobStart) / 100) / 10;
+    results.push(result);
+    await saveResults();
+  };
+
+  // As many jobs in flight as encode slots; their encodes then queue on the shared budget
+  let next = 0;
+  const worker = async () => {
+    while (next < jobs.length) {
+      const index = next++;
+      await runJob(jobs[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+
+  const summary = await saveResults();
+  batchLogger.info(`📚 Batch finished: ${summary.succeeded} succeeded, ${summary.failed} failed, results in ${resultsPath}`);
+  return { ...summary, resultsFile: resultsPath };
+}
+
+module.exports = {
+  RESULTS_FILE,
+  VIDEO_EXTENSIONS,
+  expandBatchInputs,
+  planBatchOutputs,
+  formatBatchSummary,
+  runBatch
+};
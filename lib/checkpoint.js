@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { parseMediaPlaylist } = require('./playlist');
+
+const STATE_FILE = 'transcode-state.json';
+const STATE_VERSION = 1;
+
+// Bytes hashed from each end of the source for its fingerprint
+const FINGERPRINT_CHUNK = 1024 * 1024;
+
+// Fingerprint a source file from its size and the first and last megabyte,
+// cheap enough for multi-gigabyte masters while still catching a replaced file
+async function fingerprintSource(file) {
+  const stats = await fs.stat(file);
+  const hash = crypto.createHash('sha256');
+  hash.update(String(stats.size));
+
+  const handle = await fs.open(file, 'r');
+  try {
+    const head = Buffer.alloc(Math.min(FINGERPRINT_CHUNK, stats.size));
+    await fs.read(handle, head, 0, head.length, 0);
+    hash.update(head);
+
+    if (stats.size > FINGERPRINT_CHUNK) {
+      const tail = Buffer.alloc(Math.min(FINGERPRINT_CHUNK, stats.size - FINGERPRINT_CHUNK));
+      await fs.read(handle, tail, 0, tail.length, stats.size - tail.length);
+      hash.update(tail);
+    }
+  } finally {
+    await fs.close(handle);
+  }
+
+  return { size: stats.size, sha256: hash.digest('hex') };
+}
+
+// Check that a media playlist is finished and every segment it lists is on disk
+async function verifySegments(output, playlistName) {
+  const text = await fs.readFile(path.join(output, playlistName), 'utf8');
+  if (!text.includes('#EXT-X-ENDLIST')) {
+    throw new Error(`${playlistName} is not finished`);
+  }
+
+  const playlist = parseMediaPlaylist(text);
+  const files = [playlist.initSegment, ...playlist.segments.map(s => s.uri)].filter(Boolean);
+  const segments = [];
+  for (const uri of [...new Set(files)]) {
+    const stats = await fs.stat(path.join(output, uri));
+    if (stats.size === 0) {
+      throw new Error(`${uri} is empty`);
+    }
+    segments.push({ uri, size: stats.size });
+  }
+  return segments;
+}
+
+// Job state stored in the output folder: the plan, the source fingerprint and the
+// settings it was made from, and which renditions finished with which segments.
+class JobState {
+  constructor(output, data) {
+    this.output = output;
+    this.file = path.join(output, STATE_FILE);
+    this.data = data;
+    this.saving = Promise.resolve();
+  }
+
+  static async create(output, { input, source, settings, plan }) {
+    const now = new Date().toISOString();
+    const state = new JobState(output, {
+      version: STATE_VERSION,
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      input,
+      source,
+      settings,
+      plan,
+      renditions: {}
+    });
+    await state.save();
+    return state;
+  }
+
+  // Load an existing state file, or null when the folder has none
+  static async load(output) {
+    const file = path.join(output, STATE_FILE);
+    if (!(await fs.pathExists(file))) {
+      return null;
+    }
+
+    const data = await fs.readJson(file);
+    if (data.version !== STATE_VERSION) {
+      throw new Error(`Cannot resume: unsupported job state version ${data.version}`);
+    }
+    return new JobState(output, data);
+  }
+
+  // Refuse to resume when the source, the settings or the resulting plan differ
+  assertCompatible({ source, settings, plan }) {
+    // Streamed sources are identified by their URL, downloaded and local files by their contents
+    if (source.url !== this.data.source.url) {
+      throw new Error(`Cannot resume: the job was started from ${this.data.source.url || 'a local file'}, not ${source.url || 'a local file'}`);
+    }
+    if (source.size !== this.data.source.size || source.sha256 !== this.data.source.sha256) {
+      throw new Error('Cannot resume: the source file has changed since the job started');
+    }
+
+    const changed = [...new Set([...Object.keys(settings), ...Object.keys(this.data.settings)])]
+      .filter(key => JSON.stringify(settings[key]) !== JSON.stringify(this.data.settings[key]));
+    if (changed.length > 0) {
+      throw new Error(`Cannot resume: settings changed (${changed.join(', ')})`);
+    }
+
+    if (JSON.stringify(plan) !== JSON.stringify(this.data.plan)) {
+      throw new Error('Cannot resume: the encoding plan has changed');
+    }
+  }
+
+  // Playlists whose renditions finished and whose recorded segments are still intact
+  async getCompleted() {
+    const completed = new Set();
+    for (const [playlistName, entry] of Object.entries(this.data.renditions)) {
+      if (entry.status !== 'complete') continue;
+
+      const intact = await Promise.all(entry.segments.map(segment =>
+        fs.stat(path.join(this.output, segment.uri))
+          .then(stats => stats.size === segment.size)
+          .catch(() => false)
+      ));
+      if (intact.every(Boolean)) {
+        completed.add(playlistName);
+      } else {
+        createLogger('checkpoint').warn(`⚠️ ${playlistName} was completed but its segments changed, encoding it again`);
+      }
+    }
+    return completed;
+  }
+
+  // Clear leftovers of an earlier attempt before a rendition is encoded again
+  async markStarted(rendition) {
+    const prefix = `${rendition.segmentPrefix}_`;
+    const files = await fs.readdir(this.output);
+    await Promise.all(files
+      .filter(file => file === rendition.playlistName || file.startsWith(prefix))
+      .map(file => fs.remove(path.join(this.output, file))));
+
+    this.data.renditions[rendition.playlistName] = { status: 'running', startedAt: new Date().toISOString() };
+    return this.save();
+  }
+
+  // Verify the written segments and record the rendition as complete
+  async markComplete(playlistName) {
+    const segments = await verifySegments(this.output, playlistName);
+    this.data.renditions[playlistName] = {
+      ...this.data.renditions[playlistName],
+      status: 'complete',
+      completedAt: new Date().toISOString(),
+      segments
+    };
+    return this.save();
+  }
+
+  async markFinished() {
+    this.data.status = 'complete';
+    return this.save();
+  }
+
+  // Saves are queued so parallel renditions never interleave writes
+  save() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      this.data.updatedAt = new Date().toISOString();
+      const tempFile = `${this.file}.tmp`;
+      await fs.writeJson(tempFile, this.data, { spaces: 2 });
+      await fs.rename(tempFile, this.file);
+    });
+    return this.saving;
+  }
+}
+
+module.exports = {
+  STATE_FILE,
+  fingerprintSource,
+  JobState
+};
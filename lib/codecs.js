@@ -0,0 +1,212 @@
+// Video codec definitions and RFC 6381 codec strings for HLS CODECS and DASH codecs attributes
+
+// Supported output codecs. CPU encoders are listed in order of preference.
+// efficiency: bitrate factor relative to H.264 for the same visual quality
+// crfOffset: shift from the H.264 CRF scale to the encoder's own CRF scale
+const VIDEO_CODECS = {
+  h264: { name: 'H.264', encoders: ['libx264'], efficiency: 1.0, crfOffset: 0 },
+  hevc: { name: 'HEVC', encoders: ['libx265'], efficiency: 0.7, crfOffset: 5 },
+  av1: { name: 'AV1', encoders: ['libsvtav1', 'libaom-av1'], efficiency: 0.6, crfOffset: 11 },
+  vp9: { name: 'VP9', encoders: ['libvpx-vp9'], efficiency: 0.8, crfOffset: 10 }
+};
+
+// H.264 levels: [level_idc, max macroblocks per second, max frame size in macroblocks]
+const H264_LEVELS = [
+  [10, 1485, 99],
+  [11, 3000, 396],
+  [12, 6000, 396],
+  [13, 11880, 396],
+  [20, 11880, 396],
+  [21, 19800, 792],
+  [22, 20250, 1620],
+  [30, 40500, 1620],
+  [31, 108000, 3600],
+  [32, 216000, 5120],
+  [40, 245760, 8192],
+  [42, 522240, 8704],
+  [50, 589824, 22080],
+  [51, 983040, 36864],
+  [52, 2073600, 36864],
+  [60, 4177920, 139264],
+  [61, 8355840, 139264],
+  [62, 16711680, 139264]
+];
+
+// H.264 profile_idc values
+const H264_PROFILES = {
+  baseline: 66,
+  main: 77,
+  high: 100,
+  high10: 110
+};
+
+// HEVC levels: [general_level_idc, max luma picture size, max luma sample rate]
+const HEVC_LEVELS = [
+  [30, 36864, 552960],
+  [60, 122880, 3686400],
+  [63, 245760, 7372800],
+  [90, 552960, 16588800],
+  [93, 983040, 33177600],
+  [120, 2228224, 66846720],
+  [123, 2228224, 133693440],
+  [150, 8912896, 267386880],
+  [153, 8912896, 534773760],
+  [156, 8912896, 1069547520],
+  [180, 35651584, 1069547520],
+  [183, 35651584, 2139095040],
+  [186, 35651584, 4278190080]
+];
+
+// AV1 levels: [seq_level_idx, max picture size, max display sample rate]
+const AV1_LEVELS = [
+  [0, 147456, 4423680],
+  [1, 278784, 8363520],
+  [4, 665856, 19975680],
+  [5, 1065024, 31950720],
+  [8, 2359296, 70778880],
+  [9, 2359296, 141557760],
+  [12, 8912896, 267386880],
+  [13, 8912896, 534773760],
+  [14, 8912896, 1069547520],
+  [16, 35651584, 1069547520],
+  [17, 35651584, 2139095040],
+  [18, 35651584, 4278190080]
+];
+
+// VP9 levels: [level, max picture size, max luma sample rate]
+const VP9_LEVELS = [
+  [10, 36864, 829440],
+  [11, 73728, 2764800],
+  [20, 122880, 4608000],
+  [21, 245760, 9216000],
+  [30, 552960, 20736000],
+  [31, 983040, 36864000],
+  [40, 2228224, 83558400],
+  [41, 2228224, 160432128],
+  [50, 8912896, 311951360],
+  [51, 8912896, 588251136],
+  [52, 8912896, 1176502272],
+  [60, 35651584, 1176502272],
+  [61, 35651584, 2353004544],
+  [62, 35651584, 4706009088]
+];
+
+const AAC_LC_CODEC = 'mp4a.40.2';
+
+// Pick the lowest level in a [level, max picture size, max sample rate] table that fits the rendition
+function pickLevel(levels, width, height, fps) {
+  const pictureSize = width * height;
+  const sampleRate = pictureSize * fps;
+  const level = levels.find(([, maxPicture, maxRate]) => pictureSize <= maxPicture && sampleRate <= maxRate);
+  return level ? level[0] : levels[levels.length - 1][0];
+}
+
+// Pick the lowest H.264 level whose frame size and macroblock rate fit the rendition
+function getH264Level(width, height, fps = 30) {
+  const frameSize = Math.ceil(width / 16) * Math.ceil(height / 16);
+  const macroblockRate = frameSize * fps;
+  const level = H264_LEVELS.find(([, maxRate, maxFrame]) => frameSize <= maxFrame && macroblockRate <= maxRate);
+  return level ? level[0] : H264_LEVELS[H264_LEVELS.length - 1][0];
+}
+
+// Format an avc1 codec string, e.g. avc1.640028 for High@4.0
+function getH264CodecString(width, height, fps, profile = 'high') {
+  const profileIdc = H264_PROFILES[profile] || H264_PROFILES.high;
+  const levelIdc = getH264Level(width, height, fps);
+  const hex = (value) => value.toString(16).padStart(2, '0');
+  return `avc1.${hex(profileIdc)}00${hex(levelIdc)}`;
+}
+
+// Codec string for a planned video rendition (8-bit Main profiles for HEVC, AV1 and VP9)
+function getVideoCodecString(rendition) {
+  const { resolution, fps = 30, codec = 'h264', profile } = rendition;
+  const { width, height } = resolution;
+
+  switch (codec) {
+    case 'hevc':
+      return `hvc1.1.6.L${pickLevel(HEVC_LEVELS, width, height, fps)}.B0`;
+    case 'av1':
+      return `av01.0.${String(pickLevel(AV1_LEVELS, width, height, fps)).padStart(2, '0')}M.08`;
+    case 'vp9':
+      return `vp09.00.${pickLevel(VP9_LEVELS, width, height, fps)}.08`;
+    default:
+      return getH264CodecString(width, height, fps, profile || 'high');
+  }
+}
+
+// Probed H.264 profile names: [profile_idc, constraint flags]
+const PROBED_H264_PROFILES = {
+  'constrained baseline': [66, 0xe0],
+  baseline: [66, 0x00],
+  main: [77, 0x40],
+  extended: [88, 0x00],
+  high: [100, 0x00],
+  'high 10': [110, 0x00],
+  'high 4:2:2': [122, 0x00],
+  'high 4:4:4 predictive': [244, 0x00]
+};
+
+// Probed AAC profile names and their MPEG-4 audio object types
+const PROBED_AAC_PROFILES = {
+  lc: 2,
+  'he-aac': 5,
+  'he-aacv2': 29
+};
+
+// Bit depth from a probed pixel format, e.g. yuv420p10le -> 10
+function getBitDepth(pixFmt) {
+  const match = /p(\d+)(le|be)$/.exec(pixFmt || '');
+  return match ? parseInt(match[1], 10) : 8;
+}
+
+// Codec string from an ffprobe video stream; null when the profile or level is not reported
+function getVideoCodecStringFromStream(stream) {
+  const profile = String(stream.profile || '').toLowerCase();
+  const level = Number(stream.level);
+  const hasLevel = Number.isFinite(level) && level >= 0;
+  const hex = (value) => value.toString(16).padStart(2, '0');
+
+  switch (stream.codec_name) {
+    case 'h264': {
+      const h264Profile = PROBED_H264_PROFILES[profile];
+      if (!h264Profile || !hasLevel) return null;
+      return `avc1.${hex(h264Profile[0])}${hex(h264Profile[1])}${hex(level)}`;
+    }
+    case 'hevc': {
+      if (!hasLevel) return null;
+      // HEVC level is reported as general_level_idc; tier is not exposed, so Main tier is assumed
+      return profile === 'main 10' ? `hvc1.2.4.L${level}.B0` : `hvc1.1.6.L${level}.B0`;
+    }
+    case 'av1': {
+      if (!hasLevel) return null;
+      const av1Profile = profile === 'high' ? 1 : profile === 'professional' ? 2 : 0;
+      const bitDepth = String(getBitDepth(stream.pix_fmt)).padStart(2, '0');
+      return `av01.${av1Profile}.${String(level).padStart(2, '0')}M.${bitDepth}`;
+    }
+    case 'vp9': {
+      if (!hasLevel) return null;
+      const vp9Profile = String(parseInt(profile.replace('profile', ''), 10) || 0).padStart(2, '0');
+      const bitDepth = String(getBitDepth(stream.pix_fmt)).padStart(2, '0');
+      return `vp09.${vp9Profile}.${level}.${bitDepth}`;
+    }
+    default:
+      return null;
+  }
+}
+
+// Codec string from an ffprobe audio stream; null for anything other than AAC
+function getAudioCodecStringFromStream(stream) {
+  if (stream.codec_name !== 'aac') return null;
+  const objectType = PROBED_AAC_PROFILES[String(stream.profile || '').toLowerCase()] || 2;
+  return `mp4a.40.${objectType}`;
+}
+
+module.exports = {
+  VIDEO_CODECS,
+  AAC_LC_CODEC,
+  getH264Level,
+  getH264CodecString,
+  getVideoCodecString,
+  getVideoCodecStringFromStream,
+  getAudioCodecStringFromStream
+};
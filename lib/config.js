@@ -0,0 +1,358 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { VIDEO_CODECS } = require('./codecs');
+const { THUMBNAIL_FORMATS } = require('./thumbnails');
+const { LADDER_PROFILES, parseLadder, validateLadder } = require('./ladder');
+const { QUALITY_METRICS, parseQualityThresholds } = require('./metrics');
+const { isS3Url } = require('./s3');
+const { isManifestInput } = require('./source');
+
+const PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+// Fields of one user-defined ladder rung (bitrates in kbps)
+const LADDER_RUNG_SCHEMA = {
+  height: { type: 'integer', min: 16 },
+  width: { type: 'integer', min: 16 },
+  bitrate: { type: 'integer', min: 1 },
+  maxBitrate: { type: 'integer', min: 1 },
+  fps: { type: 'number', min: 0, exclusiveMin: true },
+  profile: { type: 'string', enum: LADDER_PROFILES }
+};
+
+// Minimum average score per metric before the quality report flags a rendition
+const QUALITY_THRESHOLD_SCHEMA = Object.fromEntries(
+  Object.keys(QUALITY_METRICS).map(metric => [metric, { type: 'number', min: 0, exclusiveMin: true }])
+);
+
+const QUALITIES = [144, 240, 360, 480, 540, 720, 1080, 1440, 2160, 2880, 3600, 4320, 5040, 5760, 6480, 7200, 7920, 8640];
+
+// Every option accepted by transcodeVideo, plus the batch options. flag is the CLI flag when it is not the kebab-cased key,
+// parse converts a CLI string that does not follow the usual comma-separated list form.
+const OPTION_SCHEMA = {
+  input: { type: 'string' },
+  batch: { type: 'string', path: true },
+  batchConcurrency: { type: 'integer', min: 1 },
+  output: { type: 'string', path: true },
+  bandwidthRatio: { type: 'number', min: 0.1, max: 2.0 },
+  segmentDuration: { type: 'number', min: 0, exclusiveMin: true },
+  segmentSize: { type: 'number', min: 0, exclusiveMin: true, nullable: true },
+  segmentFormat: { type: 'string', enum: ['ts', 'fmp4'] },
+  formats: { type: 'array', items: { type: 'string', enum: ['hls', 'dash'] }, minItems: 1 },
+  codecs: { type: 'array', items: { type: 'string', enum: Object.keys(VIDEO_CODECS) }, minItems: 1 },
+  preset: { type: 'string', enum: PRESETS },
+  crfOffset: { type: 'integer', min: -5, max: 5 },
+  minQuality: { type: 'integer', enum: QUALITIES },
+  ladder: { type: 'array', items: { type: 'object', properties: LADDER_RUNG_SCHEMA, required: ['height', 'bitrate'] }, minItems: 1, nullable: true, parse: parseLadder },
+  perTitle: { type: 'boolean' },
+  perTitleMetric: { type: 'string', enum: Object.keys(QUALITY_METRICS) },
+  perTitleTarget: { type: 'number', min: 0, exclusiveMin: true, nullable: true },
+  skipAnalysis: { type: 'boolean' },
+  sequential: { type: 'boolean' },
+  singleDecode: { type: 'boolean' },
+  maxConcurrent: { type: 'integer', min: 1, nullable: true },
+  separateAudio: { type: 'boolean' },
+  audioBitrates: { type: 'array', items: { type: 'integer', min: 1 }, minItems: 1 },
+  subtitles: { type: 'array', items: { type: 'string', path: true } },
+  encrypt: { type: 'boolean' },
+  keyUri: { type: 'string' },
+  keyDir: { type: 'string', path: true, nullable: true },
+  keyIv: { type: 'string', pattern: /^(random|(0x)?[0-9a-fA-F]{32})$/, patternDescription: '32 hex digits or "random"', nullable: true },
+  keyRotation: { type: 'integer', min: 0 },
+  iframePlaylists: { type: ['boolean', 'array'], items: { type: 'integer', min: 1 } },
+  thumbnails: { type: 'boolean' },
+  thumbnailInterval: { type: 'number', min: 0, exclusiveMin: true },
+  thumbnailColumns: { type: 'integer', min: 1, flag: '--thumbnail-grid' },
+  thumbnailRows: { type: 'integer', min: 1, flag: '--thumbnail-grid' },
+  thumbnailWidth: { type: 'integer', min: 16 },
+  thumbnailFormat: { type: 'string', enum: THUMBNAIL_FORMATS },
+  measureQuality: { type: 'boolean' },
+  qualityThresholds: { type: 'object', properties: QUALITY_THRESHOLD_SCHEMA, parse: parseQualityThresholds },
+  resume: { type: 'boolean' },
+  useGpu: { type: 'boolean', flag: '--gpu' },
+  gpuType: { type: 'string', enum: ['auto', 'nvidia', 'intel', 'amd', 'apple'] },
+  showGpuUsage: { type: 'boolean' },
+  webhook: { type: 'string', pattern: /^https?:\/\//, patternDescription: 'an http:// or https:// URL', nullable: true },
+  webhookSecret: { type: 'string', nullable: true },
+  webhookRetries: { type: 'integer', min: 0 },
+  s3Endpoint: { type: 'string', pattern: /^https?:\/\//, patternDescription: 'an http:// or https:// URL', nullable: true },
+  s3Region: { type: 'string', nullable: true },
+  sourceHeaders: { type: 'object', values: { type: 'string' }, flag: '--source-header' },
+  sourceChecksum: { type: 'string', pattern: /^(md5|sha1|sha256|sha512):[0-9a-fA-F]+$/, patternDescription: '<algorithm>:<hex digest> with md5, sha1, sha256 or sha512', nullable: true },
+  streamInput: { type: 'boolean' },
+  ingest: { type: 'boolean' },
+  dryRun: { type: 'boolean' }
+};
+
+// CLI flag for an option key, e.g. crfOffset -> --crf-offset
+function getFlag(key) {
+  const schema = OPTION_SCHEMA[key];
+  return (schema && schema.flag) || `--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+}
+
+function describeValue(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+// Check one value against its schema entry; returns an error message or null
+function checkValue(value, schema) {
+  if (value === null && schema.nullable) return null;
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const matchesType = types.some(type => {
+    switch (type) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      default: return typeof value === type;
+    }
+  });
+  if (!matchesType) {
+    const names = { array: 'a list', integer: 'an integer', object: 'an object' };
+    return `expected ${types.map(type => names[type] || `a ${type}`).join(' or ')}, got ${describeValue(value)}`;
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      return `expected at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}`;
+    }
+    for (let i = 0; i < value.length; i++) {
+      const itemError = checkValue(value[i], schema.items);
+      if (itemError) return `item ${i + 1}: ${itemError}`;
+    }
+    return null;
+  }
+
+  if (schema.properties) {
+    const missing = (schema.required || []).find(key => value[key] === undefined);
+    if (missing) return `missing "${missing}"`;
+    for (const key of Object.keys(value)) {
+      if (!schema.properties[key]) return `unknown field "${key}"`;
+      const fieldError = checkValue(value[key], schema.properties[key]);
+      if (fieldError) return `${key}: ${fieldError}`;
+    }
+    return null;
+  }
+
+  // Maps with free-form keys, such as HTTP header names
+  if (schema.values) {
+    for (const key of Object.keys(value)) {
+      const fieldError = checkValue(value[key], schema.values);
+      if (fieldError) return `${key}: ${fieldError}`;
+    }
+    return null;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `expected one of ${schema.enum.join(', ')}, got ${describeValue(value)}`;
+  }
+  if (schema.min !== undefined && (schema.exclusiveMin ? value <= schema.min : value < schema.min)) {
+    return `must be ${schema.exclusiveMin ? 'greater than' : 'at least'} ${schema.min}, got ${value}`;
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    return `must be at most ${schema.max}, got ${value}`;
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    return `expected ${schema.patternDescription}, got ${describeValue(value)}`;
+  }
+  return null;
+}
+
+// Validate a partial options object. file and prefix locate it in error messages,
+// e.g. "profiles.mobile.crfOffset" in job.yaml.
+function validateOptions(options, file = null, prefix = '') {
+  const where = file ? ` in ${file}` : '';
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`Invalid value for "${prefix || 'config'}"${where}: expected an object of options`);
+  }
+
+  Object.keys(options).forEach(key => {
+    const label = `${prefix ? `${prefix}.` : ''}${key}`;
+    const schema = OPTION_SCHEMA[key];
+    if (!schema) {
+      throw new Error(`Unknown option "${label}"${where}`);
+    }
+    const error = checkValue(options[key], schema);
+    if (error) {
+      throw new Error(`Invalid value for "${label}"${where}: ${error}`);
+    }
+  });
+}
+
+// Rules that involve more than one option, checked on the merged result
+function validateCombination(options) {
+  if (options.input && options.batch) {
+    throw new Error('"input" and "batch" cannot both be set');
+  }
+  if (!options.input && !options.batch) {
+    throw new Error('Missing "input": set it in the config file or pass -i (or --batch)');
+  }
+  if (!options.output) {
+    throw new Error('Missing "output": set it in the config file or pass -o');
+  }
+  if (options.batch && isS3Url(options.output)) {
+    throw new Error('"batch" cannot write to an s3:// output, transcode to a folder instead');
+  }
+  if (options.segmentSize && options.segmentDuration !== undefined) {
+    throw new Error('"segmentDuration" and "segmentSize" cannot both be set');
+  }
+  if (options.singleDecode && (options.sequential || options.maxConcurrent)) {
+    throw new Error('"singleDecode" cannot be combined with "sequential" or "maxConcurrent"');
+  }
+
+  const segmentFormat = options.segmentFormat || 'ts';
+  if ((options.formats || []).includes('dash') && segmentFormat !== 'fmp4') {
+    throw new Error('"formats" includes dash, which requires "segmentFormat": fmp4');
+  }
+  if ((options.codecs || []).some(codec => codec !== 'h264') && segmentFormat !== 'fmp4') {
+    throw new Error('"codecs" includes HEVC, AV1 or VP9, which require "segmentFormat": fmp4');
+  }
+  if (options.encrypt && segmentFormat !== 'ts') {
+    throw new Error('"encrypt" requires "segmentFormat": ts');
+  }
+  if (options.encrypt && options.segmentSize) {
+    throw new Error('"encrypt" cannot be combined with "segmentSize"');
+  }
+  if (options.iframePlaylists && options.encrypt) {
+    throw new Error('"iframePlaylists" cannot be combined with "encrypt"');
+  }
+  if (options.ladder) {
+    validateLadder(options.ladder);
+  }
+  if (options.perTitle && options.ladder) {
+    throw new Error('"perTitle" cannot be combined with "ladder"');
+  }
+  if (options.measureQuality && options.encrypt) {
+    throw new Error('"measureQuality" cannot be combined with "encrypt"');
+  }
+  if (options.perTitle && options.skipAnalysis) {
+    throw new Error('"perTitle" cannot be combined with "skipAnalysis"');
+  }
+  // Streamed sources are never stored locally, so they cannot be read twice or hashed
+  const streamed = options.streamInput || options.ingest || (typeof options.input === 'string' && isManifestInput(options.input));
+  if (streamed && (options.perTitle || options.measureQuality || options.sourceChecksum)) {
+    throw new Error('"streamInput", "ingest" and HLS/DASH inputs cannot be combined with "perTitle", "measureQuality" or "sourceChecksum"');
+  }
+}
+
+// Resolve relative paths in a config file against the file's own folder
+function resolvePaths(options, baseDir) {
+  const resolved = { ...options };
+  Object.keys(resolved).forEach(key => {
+    const schema = OPTION_SCHEMA[key];
+    if (!schema || resolved[key] === null) return;
+
+    // s3:// outputs are published, not written to a local path
+    if (schema.path && typeof resolved[key] === 'string' && !isS3Url(resolved[key])) {
+      resolved[key] = path.resolve(baseDir, resolved[key]);
+    } else if (schema.items && schema.items.path && Array.isArray(resolved[key])) {
+      resolved[key] = resolved[key].map(item => (typeof item === 'string' ? path.resolve(baseDir, item) : item));
+    }
+  });
+  // Local inputs are paths too, URLs are left alone
+  if (typeof resolved.input === 'string' && !/^https?:\/\//.test(resolved.input)) {
+    resolved.input = path.resolve(baseDir, resolved.input);
+  }
+  return resolved;
+}
+
+// Read a JSON or YAML job file into { options, profiles }
+async function loadConfigFile(file) {
+  const name = path.basename(file);
+  if (!(await fs.pathExists(file))) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  const text = await fs.readFile(file, 'utf8');
+  let data;
+  try {
+    data = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase()) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot parse ${name}: ${error.message}`);
+  }
+
+  const { profiles = {}, ...options } = data || {};
+  validateOptions(options, name);
+
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error(`Invalid value for "profiles" in ${name}: expected an object of named profiles`);
+  }
+  const baseDir = path.dirname(path.resolve(file));
+  const resolvedProfiles = {};
+  Object.keys(profiles).forEach(profileName => {
+    validateOptions(profiles[profileName], name, `profiles.${profileName}`);
+    resolvedProfiles[profileName] = resolvePaths(profiles[profileName], baseDir);
+  });
+
+  return { options: resolvePaths(options, baseDir), profiles: resolvedProfiles };
+}
+
+// Convert a CLI string to the option's type so it can be validated like file values
+function parseCliValue(key, value) {
+  const schema = OPTION_SCHEMA[key];
+  if (!schema || typeof value !== 'string') return value;
+  if (schema.parse) return schema.parse(value);
+
+  const parseScalar = (text, type) => {
+    if ((type === 'number' || type === 'integer') && text.trim() !== '' && !isNaN(Number(text))) {
+      return Number(text);
+    }
+    return text;
+  };
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes('array')) {
+    return value.split(',').map(item => parseScalar(item.trim(), schema.items.type));
+  }
+  return parseScalar(value, types[0]);
+}
+
+// Merge file options, the selected profile and CLI overrides (in that order) and validate the result
+async function resolveOptions({ configFile = null, profile = null, cliOptions = {} }) {
+  let fileOptions = {};
+  let profiles = {};
+  if (configFile) {
+    ({ options: fileOptions, profiles } = await loadConfigFile(configFile));
+  }
+
+  let profileOptions = {};
+  if (profile) {
+    if (!profiles[profile]) {
+      const available = Object.keys(profiles);
+      throw new Error(`Unknown profile "${profile}"${available.length > 0 ? ` (available: ${available.join(', ')})` : configFile ? '' : ' (profiles need --config)'}`);
+    }
+    profileOptions = profiles[profile];
+  }
+
+  // CLI values are reported by flag so the user knows which argument to fix
+  Object.keys(cliOptions).forEach(key => {
+    if (!OPTION_SCHEMA[key]) {
+      throw new Error(`Unknown option "${key}"`);
+    }
+    const error = checkValue(cliOptions[key], OPTION_SCHEMA[key]);
+    if (error) {
+      throw new Error(`Invalid value for ${getFlag(key)}: ${error}`);
+    }
+  });
+
+  const options = {};
+  [fileOptions, profileOptions, cliOptions].forEach(layer => {
+    // Segment size and duration are alternatives, a layer setting one replaces the other
+    if (layer.segmentSize) delete options.segmentDuration;
+    if ('segmentDuration' in layer) delete options.segmentSize;
+    Object.assign(options, layer);
+  });
+
+  validateCombination(options);
+  return options;
+}
+
+module.exports = {
+  OPTION_SCHEMA,
+  validateOptions,
+  validateCombination,
+  resolvePaths,
+  loadConfigFile,
+  parseCliValue,
+  resolveOptions
+};
@@ -0,0 +1,198 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { AAC_LC_CODEC } = require('./codecs');
+const { parseMediaPlaylist } = require('./playlist');
+
+// DASH timelines are written in milliseconds
+const TIMESCALE = 1000;
+
+// Format seconds as an ISO 8601 duration
+function formatIsoDuration(seconds) {
+  return `PT${seconds.toFixed(3)}S`;
+}
+
+// DASH frame rates are integers or fractions, e.g. 30000/1001 for 29.97 fps
+function formatFrameRate(fps) {
+  if (!fps) return null;
+  if (Number.isInteger(fps)) return String(fps);
+
+  const ntscRate = Math.round(fps * 1.001);
+  if (Math.abs(fps * 1.001 - ntscRate) < 0.01) {
+    return `${ntscRate * 1000}/1001`;
+  }
+  return `${Math.round(fps * 1000)}/1000`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Format an XML attribute list, skipping empty values
+function formatXmlAttributes(attributes) {
+  return Object.keys(attributes)
+    .filter(key => attributes[key] !== undefined && attributes[key] !== null && attributes[key] !== '')
+    .map(key => `${key}="${escapeXml(attributes[key])}"`)
+    .join(' ');
+}
+
+// Build a SegmentList with a run-length encoded SegmentTimeline from HLS segment durations
+function buildSegmentList(playlist, indent) {
+  const timeline = [];
+  let elapsed = 0;
+
+  playlist.segments.forEach(segment => {
+    // Round the running total rather than each segment so durations never drift
+    const start = Math.round(elapsed * TIMESCALE);
+    elapsed += segment.duration;
+    const duration = Math.round(elapsed * TIMESCALE) - start;
+
+    const last = timeline[timeline.length - 1];
+    if (last && last.d === duration) {
+      last.r += 1;
+    } else {
+      timeline.push({ t: start, d: duration, r: 0 });
+    }
+  });
+
+  let xml = `${indent}<SegmentList timescale="${TIMESCALE}">\n`;
+  if (playlist.initSegment) {
+    xml += `${indent}  <Initialization sourceURL="${escapeXml(playlist.initSegment)}"/>\n`;
+  }
+  xml += `${indent}  <SegmentTimeline>\n`;
+  timeline.forEach(s => {
+    xml += `${indent}    <S ${formatXmlAttributes({ t: s.t, d: s.d, r: s.r || null })}/>\n`;
+  });
+  xml += `${indent}  </SegmentTimeline>\n`;
+  playlist.segments.forEach(segment => {
+    xml += `${indent}  <SegmentURL media="${escapeXml(segment.uri)}"/>\n`;
+  });
+  xml += `${indent}</SegmentList>\n`;
+
+  return xml;
+}
+
+// Load the media playlists written by FFmpeg for a list of renditions
+async function loadPlaylists(renditions, output) {
+  const playlists = {};
+  for (const rendition of renditions) {
+    const text = await fs.readFile(path.join(output, rendition.playlistName), 'utf8');
+    playlists[rendition.playlistName] = parseMediaPlaylist(text);
+  }
+  return playlists;
+}
+
+// Build the MPD document. Video, audio and subtitle renditions reuse the HLS fMP4/WebVTT files.
+function buildMpd({ variants, audioRenditions = [], subtitleRenditions = [], playlists, duration, segmentDuration }) {
+  let adaptationId = 0;
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `<MPD ${formatXmlAttributes({
+    xmlns: 'urn:mpeg:dash:schema:mpd:2011',
+    profiles: 'urn:mpeg:dash:profile:isoff-main:2011',
+    type: 'static',
+    mediaPresentationDuration: formatIsoDuration(duration),
+    minBufferTime: formatIsoDuration(segmentDuration)
+  })}>\n`;
+  xml += '  <Period id="0" start="PT0S">\n';
+
+  // Video: one AdaptationSet per codec (players cannot switch codecs within a set), one Representation per rung
+  const videoCodecs = [...new Set(variants.map(v => v.codec))];
+  videoCodecs.forEach(codec => {
+    xml += `    <AdaptationSet ${formatXmlAttributes({
+      id: adaptationId++,
+      contentType: 'video',
+      mimeType: 'video/mp4',
+      segmentAlignment: 'true',
+      startWithSAP: 1
+    })}>\n`;
+    variants.filter(v => v.codec === codec).forEach(variant => {
+      xml += `      <Representation ${formatXmlAttributes({
+        id: `video_${codec}_${variant.quality}`,
+        bandwidth: variant.bandwidth,
+        width: variant.resolution.width,
+        height: variant.resolution.height,
+        frameRate: formatFrameRate(variant.frameRate || variant.fps),
+        codecs: variant.codecs
+      })}>\n`;
+      xml += buildSegmentList(playlists[variant.playlistName], '        ');
+      xml += '      </Representation>\n';
+    });
+    xml += '    </AdaptationSet>\n';
+  });
+
+  // Audio: one AdaptationSet per source track, one Representation per bitrate
+  const audioTracks = [...new Set(audioRenditions.map(a => a.audioIndex))];
+  audioTracks.forEach(audioIndex => {
+    const renditions = audioRenditions.filter(a => a.audioIndex === audioIndex);
+    const first = renditions[0];
+    xml += `    <AdaptationSet ${formatXmlAttributes({
+      id: adaptationId++,
+      contentType: 'audio',
+      mimeType: 'audio/mp4',
+      lang: first.language !== 'und' ? first.language : null,
+      segmentAlignment: 'true',
+      startWithSAP: 1
+    })}>\n`;
+    xml += `      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${first.isDefault ? 'main' : 'alternate'}"/>\n`;
+    renditions.forEach(rendition => {
+      xml += `      <Representation ${formatXmlAttributes({
+        id: rendition.segmentPrefix,
+        bandwidth: rendition.bandwidth || rendition.bitrate * 1000,
+        codecs: rendition.codecs || AAC_LC_CODEC
+      })}>\n`;
+      xml += `        <AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="${rendition.channels}"/>\n`;
+      xml += buildSegmentList(playlists[rendition.playlistName], '        ');
+      xml += '      </Representation>\n';
+    });
+    xml += '    </AdaptationSet>\n';
+  });
+
+  // Subtitles: sidecar WebVTT files, one AdaptationSet per track
+  subtitleRenditions.forEach(rendition => {
+    xml += `    <AdaptationSet ${formatXmlAttributes({
+      id: adaptationId++,
+      contentType: 'text',
+      mimeType: 'text/vtt',
+      lang: rendition.language !== 'und' ? rendition.language : null
+    })}>\n`;
+    xml += `      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${rendition.isForced ? 'forced-subtitle' : 'subtitle'}"/>\n`;
+    xml += `      <Representation ${formatXmlAttributes({ id: rendition.segmentPrefix, bandwidth: 256 })}>\n`;
+    xml += `        <BaseURL>${escapeXml(rendition.vttFile)}</BaseURL>\n`;
+    xml += '      </Representation>\n';
+    xml += '    </AdaptationSet>\n';
+  });
+
+  xml += '  </Period>\n';
+  xml += '</MPD>\n';
+
+  return xml;
+}
+
+// Write manifest.mpd next to the HLS playlists
+async function writeDashManifest(options) {
+  const { output, variants, audioRenditions = [], subtitleRenditions = [], duration, segmentDuration } = options;
+  const dashLogger = createLogger('dash');
+
+  const playlists = await loadPlaylists([...variants, ...audioRenditions], output);
+
+  // Fall back to the longest rendition when the source duration is unknown
+  const presentationDuration = duration || Math.max(...Object.values(playlists).map(p =>
+    p.segments.reduce((total, segment) => total + segment.duration, 0)
+  ));
+
+  const mpd = buildMpd({ variants, audioRenditions, subtitleRenditions, playlists, duration: presentationDuration, segmentDuration });
+  const manifestPath = path.join(output, 'manifest.mpd');
+  await fs.writeFile(manifestPath, mpd);
+  dashLogger.info(`📝 DASH manifest written to: ${manifestPath}`);
+
+  return manifestPath;
+}
+
+module.exports = {
+  buildMpd,
+  writeDashManifest
+};
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const axios = require('axios');
+const { createLogger } = require('./logger');
+const { formatFileSize, throwIfCancelled } = require('./utils');
+
+const DOWNLOAD_RETRIES = 5;
+// A download is retried when no data arrived for this long, however long it runs in total
+const IDLE_TIMEOUT = 30000;
+const PROGRESS_LOG_INTERVAL = 5000;
+const CHECKSUM_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha512'];
+const CONTENT_TYPE_EXTENSIONS = {
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/x-matroska': '.mkv',
+  'video/webm': '.webm',
+  'video/x-msvideo': '.avi',
+  'video/mp2t': '.ts',
+  'video/mpeg': '.mpg',
+  'video/x-flv': '.flv',
+  'video/x-ms-wmv': '.wmv',
+  'video/3gpp': '.3gp',
+  'video/x-m4v': '.m4v'
+};
+const URL_EXTENSIONS = [...Object.values(CONTENT_TYPE_EXTENSIONS), '.mpeg', '.m2ts', '.mts', '.mxf', '.ogv'];
+
+// Container extension for a downloaded source: the Content-Type when it names a video
+// type, else the extension in the URL path, else .mp4
+function getSourceExtension(url, contentType = null) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (CONTENT_TYPE_EXTENSIONS[type]) return CONTENT_TYPE_EXTENSIONS[type];
+  const extension = path.extname(new URL(url).pathname).toLowerCase();
+  return URL_EXTENSIONS.includes(extension) ? extension : '.mp4';
+}
+
+// "sha256:9f86d0..." -> { algorithm: 'sha256', digest: '9f86d0...' }
+function parseChecksum(value) {
+  const match = /^([a-z0-9]+):([0-9a-fA-F]+)$/.exec(value);
+  if (!match || !CHECKSUM_ALGORITHMS.includes(match[1])) {
+    throw new Error(`Invalid checksum "${value}": expected <algorithm>:<hex digest> with one of ${CHECKSUM_ALGORITHMS.join(', ')}`);
+  }
+  return { algorithm: match[1], digest: match[2].toLowerCase() };
+}
+
+async function verifyChecksum(file, checksum, label = path.basename(file)) {
+  const { algorithm, digest } = parseChecksum(checksum);
+  const hash = crypto.createHash(algorithm);
+  await promisify(pipeline)(fs.createReadStream(file), hash);
+  const actual = hash.digest('hex');
+  if (actual !== digest) {
+    throw new Error(`Checksum mismatch for ${label}: expected ${algorithm}:${digest}, got ${algorithm}:${actual}`);
+  }
+}
+
+// "Name: value" strings, e.g. from repeated --source-header flags, to a header object
+function parseHeaders(list) {
+  const headers = {};
+  list.forEach(header => {
+    const separator = header.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid header "${header}": expected "Name: value"`);
+    }
+    headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+  });
+  return headers;
+}
+
+// Client errors other than timeouts and rate limits will not go away by retrying
+function isPermanent(error) {
+  const status = error.response ? error.response.status : null;
+  return status !== null && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+// One request, continuing the part file when the server honours the range. Updates state
+// with what the server said about the file so later attempts can resume it safely.
+async function downloadPart({ url, partFile, stateFile, state, headers, signal, onProgress, downloadLogger }) {
+  const offset = (await fs.pathExists(partFile)) ? (await fs.stat(partFile)).size : 0;
+  const requestHeaders = { ...headers, 'Accept-Encoding': 'identity' };
+  if (offset > 0) {
+    requestHeaders.Range = `bytes=${offset}-`;
+    // Without a match the server sends the whole (changed) file instead of the range
+    if (state.validator) requestHeaders['If-Range'] = state.validator;
+  }
+
+  const response = await axios({
+    method: 'GET',
+    url,
+    headers: requestHeaders,
+    responseType: 'stream',
+    decompress: false,
+    timeout: IDLE_TIMEOUT,
+    // Aborting also ends a transfer that is already streaming
+    signal: signal || undefined,
+    validateStatus: status => status === 200 || status === 206 || status === 416
+  });
+
+  if (response.status === 416) {
+    response.data.destroy();
+    // The part file already holds the whole source
+    if (state.total !== null && offset === state.total) return;
+    await fs.remove(partFile);
+    throw new Error('Requested range not satisfiable, restarting the download');
+  }
+
+  const resumed = response.status === 206;
+  if (resumed) {
+    const range = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+    if (!range || Number(range[1]) !== offset) {
+      response.data.destroy();
+      await fs.remove(partFile);
+      throw new Error(`Unexpected Content-Range "${response.headers['content-range']}", restarting the download`);
+    }
+    state.total = range[2] === '*' ? state.total : Number(range[2]);
+    downloadLogger.info(`⏯️ Resuming download at ${formatFileSize(offset)}`);
+  } else {
+    if (offset > 0) {
+      downloadLogger.warn('⚠️ Server sent the whole file (no range support or the source changed), starting over');
+    }
+    const length = response.headers['content-length'];
+    state.total = length !== undefined ? Number(length) : null;
+    const etag = response.headers.etag;
+    // Weak ETags cannot be used in If-Range
+    state.validator = (etag && !etag.startsWith('W/') ? etag : response.headers['last-modified']) || null;
+    state.contentType = response.headers['content-type'] || null;
+  }
+  await fs.writeJson(stateFile, state);
+
+  let downloaded = resumed ? offset : 0;
+  const startedAt = Date.now();
+  const startBytes = downloaded;
+  let lastLog = startedAt;
+  let idleTimer = null;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => response.data.destroy(new Error(`No data received for ${IDLE_TIMEOUT / 1000}s`)), IDLE_TIMEOUT);
+  };
+
+  response.data.on('data', chunk => {
+    resetIdleTimer();
+    downloaded += chunk.length;
+    const percent = state.total ? Math.round(downloaded / state.total * 1000) / 10 : null;
+    if (onProgress) {
+      onProgress({ downloaded, total: state.total, percent });
+    }
+    if (Date.now() - lastLog >= PROGRESS_LOG_INTERVAL) {
+      lastLog = Date.now();
+      const speed = (downloaded - startBytes) / ((Date.now() - startedAt) / 1000);
+      downloadLogger.info(`📥 ${percent !== null ? `${percent}% (${formatFileSize(downloaded)} of ${formatFileSize(state.total)})` : formatFileSize(downloaded)} at ${formatFileSize(speed)}/s`);
+    }
+  });
+
+  resetIdleTimer();
+  try {
+    await promisify(pipeline)(response.data, fs.createWriteStream(partFile, { flags: resumed ? 'a' : 'w' }));
+  } finally {
+    clearTimeout(idleTimer);
+  }
+
+  // A connection closed early looks like a normal end of the stream
+  if (state.total !== null && downloaded < state.total) {
+    throw new Error(`Connection closed at ${formatFileSize(downloaded)} of ${formatFileSize(state.total)}`);
+  }
+  if (state.total !== null && downloaded > state.total) {
+    await fs.remove(partFile);
+    throw new Error(`Received ${downloaded} bytes, more than the ${state.total} announced in Content-Length`);
+  }
+}
+
+// Download url next to outputBase (a path without extension). Interrupted transfers are retried
+// with backoff and continued with HTTP Range requests, also across runs through the .part file.
+// The size is checked against Content-Length and, when given, the file against checksum
+// ("sha256:<hex>"). Resolves with the path of the file, named after its container.
+async function downloadFile(url, outputBase, { headers = {}, checksum = null, retries = DOWNLOAD_RETRIES, signal = null, onProgress = null } = {}) {
+  const downloadLogger = createLogger('downloader');
+  const partFile = `${outputBase}.part`;
+  const stateFile = `${outputBase}.part.json`;
+  await fs.ensureDir(path.dirname(outputBase));
+
+  // A part file is only continued for the same URL
+  let state = (await fs.pathExists(stateFile)) ? await fs.readJson(stateFile).catch(() => null) : null;
+  if (!state || state.url !== url || !(await fs.pathExists(partFile))) {
+    state = { url, total: null, validator: null, contentType: null };
+    await fs.remove(partFile);
+  }
+
+  downloadLogger.info(`📥 Downloading ${url}...`);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      throwIfCancelled(signal);
+      await downloadPart({ url, partFile, stateFile, state, headers, signal, onProgress, downloadLogger });
+      break;
+    } catch (error) {
+      // The part file is kept, so a later run continues where the cancelled one stopped
+      throwIfCancelled(signal);
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+      if (attempt > retries || isPermanent(error)) {
+        downloadLogger.error(`❌ Download failed: ${reason}`);
+        throw new Error(`Failed to download file: ${reason}`);
+      }
+      const delay = Math.min(1000 * 2 ** (attempt - 1), 30000);
+      downloadLogger.warn(`⚠️ Download interrupted (${reason}), retrying in ${delay / 1000}s (attempt ${attempt + 1} of ${retries + 1})`);
+      await new Promise(resolve => {
+        const wake = () => {
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', wake);
+          resolve();
+        };
+        const timer = setTimeout(wake, delay);
+        if (signal) signal.addEventListener('abort', wake, { once: true });
+      });
+    }
+  }
+
+  if (checksum) {
+    try {
+      await verifyChecksum(partFile, checksum, url);
+    } catch (error) {
+      await fs.remove(partFile);
+      await fs.remove(stateFile);
+      throw error;
+    }
+    downloadLogger.info('🔒 Checksum verified');
+  }
+
+  const file = `${outputBase}${getSourceExtension(url, state.contentType)}`;
+  await fs.move(partFile, file, { overwrite: true });
+  await fs.remove(stateFile);
+  downloadLogger.info(`✅ Download completed: ${path.basename(file)} (${formatFileSize((await fs.stat(file)).size)})`);
+  return file;
+}
+
+module.exports = {
+  getSourceExtension,
+  parseChecksum,
+  verifyChecksum,
+  parseHeaders,
+  downloadFile
+};
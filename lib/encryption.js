@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { formatAttributes } = require('./playlist');
+
+// Check a --key-iv value: 32 hex digits (optionally 0x-prefixed) or "random"
+function parseKeyIv(keyIv) {
+  if (!keyIv) return null;
+  if (keyIv === 'random') return 'random';
+
+  const hex = keyIv.replace(/^0x/i, '');
+  if (!/^[0-9a-f]{32}$/i.test(hex)) {
+    throw new Error(`Invalid key IV: ${keyIv} (expected 32 hex digits or "random")`);
+  }
+  return hex.toLowerCase();
+}
+
+// Keys must never be written inside the public output directory
+function validateKeyDir(keyDir, output) {
+  const relative = path.relative(path.resolve(output), path.resolve(keyDir));
+  if (relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative))) {
+    throw new Error(`Key directory must be outside the output directory: ${keyDir}`);
+  }
+}
+
+// Generates AES-128 keys on demand. Key N covers segments [N * rotation, (N + 1) * rotation)
+// of a playlist, so every rendition uses the same key for the same stretch of the timeline.
+class KeyStore {
+  constructor({ keyDir, keyUri = '{key}', keyIv = null, rotation = 0, reuseKeys = false }) {
+    this.keyDir = keyDir;
+    this.keyUri = keyUri;
+    this.keyIv = parseKeyIv(keyIv);
+    this.rotation = rotation;
+    // Resumed jobs must keep the keys already used by finished renditions
+    this.reuseKeys = reuseKeys;
+    this.keys = new Map();
+  }
+
+  // Return key N, writing its key file the first time it is requested
+  getKey(index) {
+    if (!this.keys.has(index)) {
+      this.keys.set(index, this.writeKey(index));
+    }
+    return this.keys.get(index);
+  }
+
+  async writeKey(index) {
+    await fs.ensureDir(this.keyDir);
+
+    const name = `key_${index}.key`;
+    const keyPath = path.join(this.keyDir, name);
+    // Random IVs are kept next to their key so a resumed job can reuse both
+    const ivPath = path.join(this.keyDir, `key_${index}.iv`);
+    let iv = this.keyIv;
+    let key;
+
+    if (this.reuseKeys && await fs.pathExists(keyPath)) {
+      key = await fs.readFile(keyPath);
+      if (iv === 'random') {
+        iv = (await fs.readFile(ivPath, 'utf8')).trim();
+      }
+    } else {
+      key = crypto.randomBytes(16);
+      await fs.writeFile(keyPath, key, { mode: 0o600 });
+      if (iv === 'random') {
+        iv = crypto.randomBytes(16).toString('hex');
+        await fs.writeFile(ivPath, iv);
+      }
+    }
+
+    return {
+      index,
+      key,
+      path: keyPath,
+      uri: this.keyUri.replace(/\{key\}/g, name).replace(/\{index\}/g, String(index)),
+      iv
+    };
+  }
+
+  // Key index for a zero-based segment number
+  getKeyIndex(segmentNumber) {
+    return this.rotation > 0 ? Math.floor(segmentNumber / this.rotation) : 0;
+  }
+
+  // FFmpeg encrypts every segment with key 0 from this rendition's key info file
+  getKeyInfoFile(rendition) {
+    return path.join(this.keyDir, `${rendition.segmentPrefix}.keyinfo`);
+  }
+
+  // Key info file: key URI, key file path and optional IV, one per line. Must be written
+  // before FFmpeg starts.
+  async prepareRendition(rendition) {
+    const key = await this.getKey(0);
+    const lines = [key.uri, key.path];
+    if (key.iv) {
+      lines.push(key.iv);
+    }
+    await fs.writeFile(this.getKeyInfoFile(rendition), `${lines.join('\n')}\n`);
+  }
+
+  // With rotation FFmpeg writes the playlist under a temporary name, so nothing (the S3
+  // publisher in particular) picks up its segments before they are under their final key
+  getPlaylistName(rendition) {
+    return this.rotation > 0 ? `${rendition.playlistName}.tmp` : rendition.playlistName;
+  }
+
+  // Once FFmpeg has finished a rotating rendition, re-encrypt every segment after the first key
+  // period with its own key and move the playlist into place with an EXT-X-KEY line wherever
+  // the key changes. Segments are counted in the playlist, so the key of a segment never
+  // depends on how fast it was encoded.
+  async finishRendition(rendition, output) {
+    if (this.rotation <= 0) return;
+
+    const tempPlaylist = path.join(output, this.getPlaylistName(rendition));
+    const lines = (await fs.readFile(tempPlaylist, 'utf8')).split(/\r?\n/);
+    const sequenceLine = lines.find(line => line.startsWith('#EXT-X-MEDIA-SEQUENCE:'));
+    const mediaSequence = sequenceLine ? parseInt(sequenceLine.substring('#EXT-X-MEDIA-SEQUENCE:'.length), 10) : 0;
+    const firstKey = await this.getKey(0);
+
+    const playlist = [];
+    let segmentNumber = 0;
+    let currentKey = null;
+    for (const line of lines) {
+      // FFmpeg's own EXT-X-KEY line is replaced by one per key period
+      if (line.startsWith('#EXT-X-KEY:')) continue;
+
+      if (line.startsWith('#EXTINF:') && this.getKeyIndex(segmentNumber) !== currentKey) {
+        const key = await this.getKey(this.getKeyIndex(segmentNumber));
+        playlist.push(`#EXT-X-KEY:${formatAttributes({ METHOD: 'AES-128', URI: key.uri, IV: key.iv ? `0x${key.iv}` : null })}`);
+        currentKey = key.index;
+      } else if (line.trim() && !line.startsWith('#')) {
+        if (currentKey > 0) {
+          const sequence = mediaSequence + segmentNumber;
+          await reencryptSegment(path.join(output, line.trim()), firstKey, await this.getKey(currentKey), sequence);
+        }
+        segmentNumber++;
+      }
+      playlist.push(line);
+    }
+
+    await fs.writeFile(tempPlaylist, playlist.join('\n'));
+    await fs.rename(tempPlaylist, path.join(output, rendition.playlistName));
+  }
+
+  // Remove the per-rendition key info files once encoding has finished
+  async cleanup() {
+    const files = await fs.readdir(this.keyDir).catch(() => []);
+    await Promise.all(files
+      .filter(file => file.endsWith('.keyinfo'))
+      .map(file => fs.remove(path.join(this.keyDir, file))));
+  }
+}
+
+// IV of a segment: the key's own, or (as players assume without an IV attribute) the segment's
+// media sequence number as a 128-bit big-endian number
+function getSegmentIv(key, sequence) {
+  if (key.iv) {
+    return Buffer.from(key.iv, 'hex');
+  }
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(sequence), 8);
+  return iv;
+}
+
+// Swap a segment from one AES-128-CBC key to another. The new file is renamed into place so
+// readers never see a partly written segment.
+async function reencryptSegment(file, fromKey, toKey, sequence) {
+  const decipher = crypto.createDecipheriv('aes-128-cbc', fromKey.key, getSegmentIv(fromKey, sequence));
+  const cipher = crypto.createCipheriv('aes-128-cbc', toKey.key, getSegmentIv(toKey, sequence));
+  const data = await fs.readFile(file);
+  const clear = Buffer.concat([decipher.update(data), decipher.final()]);
+
+  const tempFile = `${file}.tmp`;
+  await fs.writeFile(tempFile, Buffer.concat([cipher.update(clear), cipher.final()]));
+  await fs.rename(tempFile, file);
+}
+
+// HLS muxer arguments for an encrypted rendition (empty when encryption is off)
+function getEncryptionOptions(encryption, rendition) {
+  return encryption ? ['-hls_key_info_file', encryption.getKeyInfoFile(rendition)] : [];
+}
+
+// Where FFmpeg writes a rendition's playlist
+function getPlaylistFile(encryption, rendition, output) {
+  return path.join(output, encryption ? encryption.getPlaylistName(rendition) : rendition.playlistName);
+}
+
+module.exports = {
+  parseKeyIv,
+  validateKeyDir,
+  KeyStore,
+  getEncryptionOptions,
+  getPlaylistFile
+};
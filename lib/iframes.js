@@ -0,0 +1,333 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { parseMediaPlaylist } = require('./playlist');
+const { measureSegmentBitrates } = require('./measure');
+
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+const TS_CLOCK = 90000;
+
+// MPEG-TS stream types carrying video (MPEG-2, H.264, HEVC)
+const TS_VIDEO_STREAM_TYPES = [0x02, 0x1b, 0x24];
+
+// Offset of the first byte of a PSI section (after the pointer field)
+function getSectionStart(buffer, payloadStart) {
+  return payloadStart + 1 + buffer[payloadStart];
+}
+
+// Read the PMT PID from a PAT section
+function parsePat(buffer, payloadStart) {
+  const section = getSectionStart(buffer, payloadStart);
+  const sectionLength = ((buffer[section + 1] & 0x0f) << 8) | buffer[section + 2];
+  const end = section + 3 + sectionLength - 4;
+
+  for (let i = section + 8; i + 4 <= end; i += 4) {
+    const programNumber = (buffer[i] << 8) | buffer[i + 1];
+    if (programNumber !== 0) {
+      return ((buffer[i + 2] & 0x1f) << 8) | buffer[i + 3];
+    }
+  }
+  return null;
+}
+
+// Read the first video elementary stream PID from a PMT section
+function parsePmt(buffer, payloadStart) {
+  const section = getSectionStart(buffer, payloadStart);
+  const sectionLength = ((buffer[section + 1] & 0x0f) << 8) | buffer[section + 2];
+  const programInfoLength = ((buffer[section + 10] & 0x0f) << 8) | buffer[section + 11];
+  const end = section + 3 + sectionLength - 4;
+
+  for (let i = section + 12 + programInfoLength; i + 5 <= end;) {
+    const streamType = buffer[i];
+    const pid = ((buffer[i + 1] & 0x1f) << 8) | buffer[i + 2];
+    const esInfoLength = ((buffer[i + 3] & 0x0f) << 8) | buffer[i + 4];
+    if (TS_VIDEO_STREAM_TYPES.includes(streamType)) {
+      return pid;
+    }
+    i += 5 + esInfoLength;
+  }
+  return null;
+}
+
+// Read the 33-bit PTS from a PES header, or null when it has none
+function parsePesPts(buffer, payloadStart) {
+  const p = payloadStart;
+  if (buffer[p] !== 0 || buffer[p + 1] !== 0 || buffer[p + 2] !== 1) return null;
+  if (!(buffer[p + 7] & 0x80)) return null;
+
+  return ((buffer[p + 9] >> 1) & 0x07) * 1073741824 +
+    buffer[p + 10] * 4194304 +
+    (buffer[p + 11] >> 1) * 32768 +
+    buffer[p + 12] * 128 +
+    (buffer[p + 13] >> 1);
+}
+
+// Find the key frames in an MPEG-TS segment. A key frame starts at a video packet with the
+// random access indicator set and ends where the next video PES starts.
+function findTsKeyframes(buffer) {
+  const keyframes = [];
+  let pmtPid = null;
+  let videoPid = null;
+  let current = null;
+
+  for (let offset = 0; offset + TS_PACKET_SIZE <= buffer.length; offset += TS_PACKET_SIZE) {
+    if (buffer[offset] !== TS_SYNC_BYTE) continue;
+
+    const pid = ((buffer[offset + 1] & 0x1f) << 8) | buffer[offset + 2];
+    const payloadUnitStart = (buffer[offset + 1] & 0x40) !== 0;
+    const adaptationControl = (buffer[offset + 3] >> 4) & 0x03;
+    let payloadStart = offset + 4;
+    let randomAccess = false;
+
+    if (adaptationControl & 0x02) {
+      const adaptationLength = buffer[offset + 4];
+      randomAccess = adaptationLength > 0 && (buffer[offset + 5] & 0x40) !== 0;
+      payloadStart += 1 + adaptationLength;
+    }
+    if (!(adaptationControl & 0x01) || !payloadUnitStart) continue;
+
+    if (pid === 0 && pmtPid === null) {
+      pmtPid = parsePat(buffer, payloadStart);
+    } else if (pid === pmtPid && videoPid === null) {
+      videoPid = parsePmt(buffer, payloadStart);
+    } else if (pid === videoPid) {
+      if (current) {
+        current.length = offset - current.offset;
+        keyframes.push(current);
+        current = null;
+      }
+      if (randomAccess) {
+        current = { offset, pts: parsePesPts(buffer, payloadStart) };
+      }
+    }
+  }
+
+  if (current) {
+    current.length = buffer.length - current.offset;
+    keyframes.push(current);
+  }
+
+  return keyframes;
+}
+
+// List the ISO BMFF boxes between start and end
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    boxes.push({ type, start: offset, contentStart: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+function findBox(buffer, parent, type) {
+  return readBoxes(buffer, parent.contentStart, parent.end).find(box => box.type === type);
+}
+
+// Track ID of the video track declared in an fMP4 init segment
+function findVideoTrackId(initBuffer) {
+  const moov = readBoxes(initBuffer).find(box => box.type === 'moov');
+  if (!moov) return null;
+
+  for (const trak of readBoxes(initBuffer, moov.contentStart, moov.end).filter(box => box.type === 'trak')) {
+    const tkhd = findBox(initBuffer, trak, 'tkhd');
+    const mdia = findBox(initBuffer, trak, 'mdia');
+    const hdlr = mdia && findBox(initBuffer, mdia, 'hdlr');
+    if (!tkhd || !hdlr) continue;
+
+    // hdlr: version/flags, pre_defined, then handler_type
+    if (initBuffer.toString('latin1', hdlr.contentStart + 8, hdlr.contentStart + 12) === 'vide') {
+      const version = initBuffer[tkhd.contentStart];
+      return initBuffer.readUInt32BE(tkhd.contentStart + (version === 1 ? 20 : 12));
+    }
+  }
+  return null;
+}
+
+// Byte range of the first video sample in an fMP4 segment, including its moof.
+// FFmpeg writes one fragment per HLS segment, so this is the key frame the segment starts with.
+function findFmp4Keyframe(buffer, videoTrackId) {
+  const moof = readBoxes(buffer).find(box => box.type === 'moof');
+  if (!moof) return null;
+
+  for (const traf of readBoxes(buffer, moof.contentStart, moof.end).filter(box => box.type === 'traf')) {
+    const tfhd = findBox(buffer, traf, 'tfhd');
+    const trun = findBox(buffer, traf, 'trun');
+    if (!tfhd || !trun) continue;
+
+    const tfhdFlags = buffer.readUInt32BE(tfhd.contentStart) & 0xffffff;
+    if (buffer.readUInt32BE(tfhd.contentStart + 4) !== videoTrackId) continue;
+
+    // tfhd optional fields: base_data_offset, sample_description_index, default_sample_duration, default_sample_size
+    let cursor = tfhd.contentStart + 8;
+    let baseDataOffset = moof.start;
+    if (tfhdFlags & 0x01) {
+      baseDataOffset = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    if (tfhdFlags & 0x02) cursor += 4;
+    if (tfhdFlags & 0x08) cursor += 4;
+    const defaultSampleSize = (tfhdFlags & 0x10) ? buffer.readUInt32BE(cursor) : null;
+
+    // trun: data_offset, first_sample_flags, then the first sample's duration and size
+    const trunFlags = buffer.readUInt32BE(trun.contentStart) & 0xffffff;
+    cursor = trun.contentStart + 8;
+    let dataOffset = 0;
+    if (trunFlags & 0x01) {
+      dataOffset = buffer.readInt32BE(cursor);
+      cursor += 4;
+    }
+    if (trunFlags & 0x04) cursor += 4;
+    if (trunFlags & 0x100) cursor += 4;
+    const sampleSize = (trunFlags & 0x200) ? buffer.readUInt32BE(cursor) : defaultSampleSize;
+    if (!sampleSize) return null;
+
+    return { offset: moof.start, length: baseDataOffset + dataOffset + sampleSize - moof.start };
+  }
+  return null;
+}
+
+// Collect the I-frames of a rendition: every key frame for MPEG-TS, the first sample of each fragment for fMP4
+async function collectIframes(output, playlist, segmentFormat) {
+  const iframes = [];
+  let segmentStart = 0;
+  let videoTrackId = null;
+
+  if (segmentFormat === 'fmp4') {
+    videoTrackId = findVideoTrackId(await fs.readFile(path.join(output, playlist.initSegment)));
+    if (videoTrackId === null) {
+      throw new Error(`No video track in ${playlist.initSegment}`);
+    }
+  }
+
+  let file = null;
+  for (const segment of playlist.segments) {
+    if (!file || file.uri !== segment.uri) {
+      const buffer = await fs.readFile(path.join(output, segment.uri));
+      file = { uri: segment.uri, buffer, keyframes: segmentFormat === 'fmp4' ? null : findTsKeyframes(buffer) };
+    }
+    // Size-based segments are byte ranges of a shared file; offsets stay relative to the file
+    const start = segment.byteRange ? segment.byteRange.offset : 0;
+    const end = segment.byteRange ? start + segment.byteRange.length : file.buffer.length;
+
+    if (segmentFormat === 'fmp4') {
+      const keyframe = findFmp4Keyframe(file.buffer.subarray(start, end), videoTrackId);
+      if (keyframe) {
+        iframes.push({ ...keyframe, offset: start + keyframe.offset, uri: segment.uri, time: segmentStart });
+      }
+    } else {
+      file.keyframes.filter(keyframe => keyframe.offset >= start && keyframe.offset < end).forEach(keyframe => {
+        iframes.push({
+          ...keyframe,
+          uri: segment.uri,
+          // PAT/PMT sit at the start of the file, in front of its first key frame
+          tablesLength: file.keyframes[0].offset,
+          firstInFile: keyframe === file.keyframes[0],
+          time: segmentStart
+        });
+      });
+    }
+
+    segmentStart += segment.duration;
+  }
+
+  // An I-frame lasts until the next one; MPEG-TS key frames are timed from their PTS
+  const firstPts = iframes.length > 0 ? iframes[0].pts : null;
+  iframes.forEach(iframe => {
+    if (iframe.pts !== undefined && iframe.pts !== null && firstPts !== null) {
+      iframe.time = (iframe.pts - firstPts) / TS_CLOCK;
+    }
+  });
+  iframes.forEach((iframe, i) => {
+    const next = i + 1 < iframes.length ? iframes[i + 1].time : segmentStart;
+    iframe.duration = Math.max(next - iframe.time, 0.001);
+  });
+
+  return iframes;
+}
+
+// Build an EXT-X-I-FRAMES-ONLY media playlist with byte ranges into the existing segments
+function buildIframePlaylist(iframes, playlist, segmentFormat) {
+  const targetDuration = Math.ceil(Math.max(...iframes.map(iframe => iframe.duration)));
+
+  let text = '#EXTM3U\n';
+  // EXT-X-MAP in an I-frame playlist needs version 5, fMP4 playlists already use 7
+  text += `#EXT-X-VERSION:${segmentFormat === 'fmp4' ? 7 : 5}\n`;
+  text += `#EXT-X-TARGETDURATION:${targetDuration}\n`;
+  text += '#EXT-X-MEDIA-SEQUENCE:0\n';
+  text += '#EXT-X-PLAYLIST-TYPE:VOD\n';
+  text += '#EXT-X-I-FRAMES-ONLY\n';
+  if (segmentFormat === 'fmp4') {
+    text += `#EXT-X-MAP:URI="${playlist.initSegment}"\n`;
+  }
+
+  iframes.forEach(iframe => {
+    if (iframe.firstInFile && iframe.tablesLength > 0) {
+      text += `#EXT-X-MAP:URI="${iframe.uri}",BYTERANGE="${iframe.tablesLength}@0"\n`;
+    }
+    text += `#EXTINF:${iframe.duration.toFixed(6)},\n`;
+    text += `#EXT-X-BYTERANGE:${iframe.length}@${iframe.offset}\n`;
+    text += `${iframe.uri}\n`;
+  });
+
+  text += '#EXT-X-ENDLIST\n';
+  return text;
+}
+
+// Write an I-frame playlist for each selected variant and describe it for the master playlist
+async function writeIframePlaylists({ output, variants, segmentFormat = 'ts' }) {
+  const iframeLogger = createLogger('iframes');
+  iframeLogger.info(`🎞️ Generating ${variants.length} I-frame playlists`);
+
+  const iframeVariants = [];
+  for (const variant of variants) {
+    const playlistName = variant.playlistName.replace(/^playlist_/, 'iframe_');
+    try {
+      const playlist = parseMediaPlaylist(await fs.readFile(path.join(output, variant.playlistName), 'utf8'));
+      const iframes = await collectIframes(output, playlist, segmentFormat);
+      if (iframes.length === 0) {
+        throw new Error('no key frames found');
+      }
+
+      await fs.writeFile(path.join(output, playlistName), buildIframePlaylist(iframes, playlist, segmentFormat));
+      const bitrates = await measureSegmentBitrates(output, playlistName);
+
+      iframeVariants.push({
+        name: variant.name,
+        bandwidth: bitrates.peak,
+        averageBandwidth: bitrates.average,
+        codecs: variant.codecs,
+        resolution: variant.resolution,
+        playlistName
+      });
+      iframeLogger.info(`   • ${variant.name}: ${iframes.length} I-frames -> ${playlistName}`);
+    } catch (error) {
+      iframeLogger.warn(`⚠️ Skipping I-frame playlist for ${variant.name}: ${error.message}`);
+    }
+  }
+
+  return iframeVariants;
+}
+
+module.exports = {
+  findTsKeyframes,
+  findFmp4Keyframe,
+  findVideoTrackId,
+  writeIframePlaylists
+};
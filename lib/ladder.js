@@ -0,0 +1,92 @@
+// User-defined bitrate ladders: explicit rungs that replace the built-in quality table
+
+// H.264 profiles a rung can request (other codecs keep their 8-bit Main profile)
+const LADDER_PROFILES = ['baseline', 'main', 'high'];
+
+const RUNG_FORMAT = '[WIDTHx]HEIGHT:BITRATE[:MAXBITRATE[:FPS[:PROFILE]]]';
+
+// Numeric fields stay strings when they are not numbers so validation can report them
+function parseNumber(text) {
+  return text.trim() !== '' && !isNaN(Number(text)) ? Number(text) : text;
+}
+
+// Parse a --ladder value such as "1920x1080:5000:7500:30:high,1280x720:2800,480:1200"
+// into rung objects. Empty fields are left unset, e.g. "720:2800::30".
+function parseLadder(spec) {
+  return spec.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const fields = item.split(':').map(field => field.trim());
+    const size = /^(?:(\d+)x)?(\d+)p?$/i.exec(fields[0]);
+    if (!size || fields.length < 2 || fields.length > 5) {
+      throw new Error(`Invalid ladder rung "${item}": expected ${RUNG_FORMAT}`);
+    }
+
+    const [, width, height] = size;
+    const [, bitrate, maxBitrate, fps, profile] = fields;
+    const rung = { height: Number(height), bitrate: parseNumber(bitrate.replace(/k$/i, '')) };
+    if (width) rung.width = Number(width);
+    if (maxBitrate) rung.maxBitrate = parseNumber(maxBitrate.replace(/k$/i, ''));
+    if (fps) rung.fps = parseNumber(fps);
+    if (profile) rung.profile = profile.toLowerCase();
+    return rung;
+  });
+}
+
+// Checks that need the whole ladder; single values are checked by the option schema
+function validateLadder(ladder) {
+  const heights = new Set();
+  ladder.forEach(rung => {
+    if (!Number.isInteger(rung.height) || rung.height <= 0 || !Number.isInteger(rung.bitrate) || rung.bitrate <= 0) {
+      throw new Error(`Invalid ladder rung ${JSON.stringify(rung)}: height and bitrate must be positive integers`);
+    }
+    if ((rung.width !== undefined && !(Number.isInteger(rung.width) && rung.width > 0)) || (rung.fps !== undefined && !(rung.fps > 0))) {
+      throw new Error(`Invalid ladder rung ${JSON.stringify(rung)}: width must be a positive integer and fps a positive number`);
+    }
+    if (rung.profile && !LADDER_PROFILES.includes(rung.profile)) {
+      throw new Error(`Invalid ladder profile "${rung.profile}" (expected ${LADDER_PROFILES.join(', ')})`);
+    }
+    if (rung.maxBitrate && rung.maxBitrate < rung.bitrate) {
+      throw new Error(`Ladder rung ${rung.height}p: maxBitrate ${rung.maxBitrate}k is below its bitrate ${rung.bitrate}k`);
+    }
+    // Playlists and segments are named after the height
+    if (heights.has(rung.height)) {
+      throw new Error(`Ladder has more than one ${rung.height}p rung`);
+    }
+    heights.add(rung.height);
+  });
+}
+
+// Turn ladder rungs into qualities (highest first), dropping rungs that would upscale the source
+function selectLadderRungs(ladder, sourceInfo) {
+  const qualities = [];
+  const dropped = [];
+
+  ladder.forEach(rung => {
+    const upscales = rung.height > sourceInfo.height || (rung.width && sourceInfo.width && rung.width > sourceInfo.width);
+    if (upscales) {
+      dropped.push(rung);
+      return;
+    }
+    qualities.push({ ...rung, name: `${rung.height}p`, enabled: true });
+  });
+
+  qualities.sort((a, b) => b.height - a.height);
+  return { qualities, dropped };
+}
+
+// One-line summary of a rung for logs, e.g. 1920x1080 @ 5000k (max 7500k, ≤30fps, high)
+function describeRung(rung) {
+  const extras = [
+    rung.maxBitrate ? `max ${rung.maxBitrate}k` : null,
+    rung.fps ? `≤${rung.fps}fps` : null,
+    rung.profile || null
+  ].filter(Boolean);
+  return `${rung.width ? `${rung.width}x` : ''}${rung.height}${rung.width ? '' : 'p'} @ ${rung.bitrate}k${extras.length > 0 ? ` (${extras.join(', ')})` : ''}`;
+}
+
+module.exports = {
+  LADDER_PROFILES,
+  parseLadder,
+  validateLadder,
+  selectLadderRungs,
+  describeRung
+};
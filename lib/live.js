@@ -0,0 +1,280 @@
+const dgram = require('dgram');
+const fs = require('fs-extra');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { createLogger } = require('./logger');
+const { isS3Url } = require('./s3');
+const { parseLadder, validateLadder } = require('./ladder');
+const { buildMasterPlaylist } = require('./playlist');
+const { planRendition, toVariant, getEncoderOptions } = require('./transcoder');
+
+const DEFAULT_LIVE_LADDER = '1920x1080:5000,1280x720:2800,854x480:1200';
+// A process that ran this long before it exited starts over from the shortest restart delay
+const STABLE_RUN = 60000;
+const MAX_RESTART_DELAY = 30000;
+
+// Free local UDP ports for the relay to feed the encoders; all sockets stay bound until every
+// port is known so no port is handed out twice
+async function getFreeUdpPorts(count) {
+  const sockets = await Promise.all(Array.from({ length: count }, () => new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    socket.on('error', reject);
+    socket.bind(0, '127.0.0.1', () => resolve(socket));
+  })));
+  const ports = sockets.map(socket => socket.address().port);
+  await Promise.all(sockets.map(socket => new Promise(resolve => socket.close(resolve))));
+  return ports;
+}
+
+// FFmpeg inputs and stream handling for the relay. Network sources and looped files are
+// copied as they are; the test pattern is generated and encoded here.
+function getSourceInputs({ input, testSource, loop, listen, fps, width, height }) {
+  if (testSource) {
+    return {
+      inputs: [
+        { source: `testsrc2=size=${width}x${height}:rate=${fps}`, options: ['-re', '-f', 'lavfi'] },
+        { source: 'sine=frequency=440:sample_rate=48000', options: ['-re', '-f', 'lavfi'] }
+      ],
+      outputOptions: [
+        '-map', '0:v:0', '-map', '1:a:0',
+        '-c:v', 'libx264', '-preset', 'ultrafast', '-tune', 'zerolatency', '-crf', '18', '-pix_fmt', 'yuv420p', '-g', String(fps),
+        '-c:a', 'aac', '-b:a', '192k'
+      ]
+    };
+  }
+
+  const options = [];
+  let source = input;
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(input)) {
+    // Files are read at their native rate so they behave like a live feed
+    options.push('-re');
+    if (loop) {
+      options.push('-stream_loop', '-1');
+    }
+  } else if (listen && input.startsWith('rtmp://')) {
+    options.push('-listen', '1');
+  } else if (listen && input.startsWith('srt://') && !/[?&]mode=/.test(input)) {
+    source = `${input}${input.includes('?') ? '&' : '?'}mode=listener`;
+  }
+  return {
+    inputs: [{ source, options }],
+    outputOptions: ['-map', '0:v:0', '-map', '0:a:0?', '-c', 'copy']
+  };
+}
+
+// HLS muxer arguments for a sliding-window live rendition. The first run numbers segments
+// from the clock so a restarted job never reuses the names of segments still in caches;
+// a restarted encoder continues the playlist it left, after a discontinuity.
+function getLiveHlsOptions(rendition, output, { segmentDuration, windowSize, deleteSegments, restarted }) {
+  const flags = ['program_date_time', 'independent_segments', 'omit_endlist', 'temp_file'];
+  if (deleteSegments) {
+    flags.push('delete_segments');
+  }
+  if (restarted) {
+    flags.push('append_list');
+  }
+  return [
+    '-f', 'hls',
+    '-hls_time', segmentDuration.toString(),
+    '-hls_list_size', windowSize.toString(),
+    ...(restarted ? [] : ['-hls_start_number_source', 'epoch']),
+    '-hls_segment_filename', path.join(output, `${rendition.segmentPrefix}_%d.ts`),
+    '-hls_flags', flags.join('+')
+  ];
+}
+
+// Key frames on every multiple of the segment duration in source time, so renditions (and a
+// restarted encoder) cut their segments at the same points
+function getKeyFrameOptions(segmentDuration, fps) {
+  const frames = Math.round(segmentDuration * fps);
+  return [
+    '-force_key_frames', `expr:if(isnan(prev_forced_t),1,gte(floor(t/${segmentDuration}),floor(prev_forced_t/${segmentDuration})+1))`,
+    // Regular key frames would only come after the forced ones
+    '-g', (frames * 2).toString(),
+    '-keyint_min', frames.toString()
+  ];
+}
+
+// Transcodes a continuous input into a sliding-window multi-bitrate HLS stream. A relay process
+// reads the input once (listeners only accept one reader) and fans it out over local UDP to one
+// encoder per rendition. Every process is restarted when it exits, with backoff while it keeps
+// failing; when the relay restarts, the encoders follow so they pick up the new timestamps.
+class LiveTranscoder {
+  constructor({ input = null, output, testSource = false, loop = false, listen = false, ladder = null, segmentDuration = 4, windowSize = 6, deleteSegments = true, fps = 30, preset = 'veryfast' }) {
+    if (Boolean(input) === Boolean(testSource)) {
+      throw new Error('Live transcoding needs either an input or the test source');
+    }
+    if (isS3Url(output)) {
+      throw new Error('Live transcoding cannot write to an s3:// output, serve the output folder instead');
+    }
+    const rungs = ladder || parseLadder(DEFAULT_LIVE_LADDER);
+    validateLadder(rungs);
+
+    this.input = input;
+    this.output = path.resolve(output);
+    this.testSource = testSource;
+    this.loop = loop;
+    this.listen = listen;
+    this.segmentDuration = segmentDuration;
+    this.windowSize = windowSize;
+    this.deleteSegments = deleteSegments;
+    this.fps = fps;
+    this.preset = preset;
+    this.logger = createLogger('live');
+
+    // The source is not probed (a listener has nothing to probe yet), the top rung stands in for it
+    const top = [...rungs].sort((a, b) => b.height - a.height)[0];
+    this.sourceInfo = {
+      width: top.width || Math.round(top.height * 16 / 9 / 2) * 2,
+      height: top.height,
+      aspectRatio: 16/9,
+      fps,
+      videoBitrate: null,
+      sourceQuality: { name: `${top.height}p`, actualHeight: top.height }
+    };
+    this.renditions = rungs
+      .map(rung => planRendition({ ...rung, name: `${rung.height}p`, enabled: true }, this.sourceInfo, 1.0, 0))
+      .sort((a, b) => b.targetHeight - a.targetHeight);
+
+    this.encoders = new Set();
+    this.relays = new Set();
+    this.sleepers = new Set();
+    this.restarts = 0;
+    this.stopping = false;
+  }
+
+  // Start the relay and the encoders. Resolves once stop() has been called and every process has exited.
+  async start() {
+    await fs.ensureDir(this.output);
+    const ports = await getFreeUdpPorts(this.renditions.length);
+    await fs.writeFile(path.join(this.output, 'master.m3u8'), buildMasterPlaylist({ variants: this.renditions.map(toVariant) }));
+
+    this.logger.info(`📡 Live transcoding ${this.testSource ? 'the test source' : this.input} to ${this.output}`);
+    this.renditions.forEach(r => {
+      this.logger.info(`   • ${r.label} (${r.resolution.width}x${r.resolution.height}) - Target bitrate: ${r.bitrate}k, CRF: ${r.crf}`);
+    });
+    this.logger.info(`   🪟 ${this.windowSize} segments of ${this.segmentDuration}s in each playlist${this.deleteSegments ? ', older segments are deleted' : ''}`);
+
+    const supervisors = this.renditions.map((rendition, i) => this.supervise(
+      rendition.label,
+      restarted => this.createEncoder(rendition, ports[i], restarted),
+      this.encoders
+    ));
+    supervisors.push(this.supervise(
+      'source relay',
+      () => this.createRelay(ports),
+      this.relays,
+      () => this.restartEncoders()
+    ));
+    await Promise.all(supervisors);
+    this.logger.info(`🛑 Live transcoding stopped (${this.restarts} restarts)`);
+  }
+
+  // Stop every process; the playlists keep their last window
+  stop() {
+    if (this.stopping) return;
+    this.stopping = true;
+    this.logger.info('🛑 Stopping live transcoding');
+    [...this.relays, ...this.encoders].forEach(entry => entry.command.kill('SIGTERM'));
+    this.sleepers.forEach(wake => wake());
+  }
+
+  createRelay(ports) {
+    const { inputs, outputOptions } = getSourceInputs({
+      input: this.input,
+      testSource: this.testSource,
+      loop: this.loop,
+      listen: this.listen,
+      fps: this.fps,
+      width: this.sourceInfo.width,
+      height: this.sourceInfo.height
+    });
+    const command = ffmpeg();
+    inputs.forEach(({ source, options }) => command.input(source).inputOptions(options));
+    // One MPEG-TS copy per encoder; an encoder that is down does not stop the others
+    const targets = ports.map(port => `[f=mpegts:onfail=ignore]udp://127.0.0.1:${port}?pkt_size=1316`);
+    return command
+      .outputOptions(...outputOptions, '-f', 'tee')
+      .output(targets.join('|'));
+  }
+
+  createEncoder(rendition, port, restarted) {
+    const command = ffmpeg(`udp://127.0.0.1:${port}?fifo_size=1000000&overrun_nonfatal=1`)
+      // Source timestamps line the renditions up with each other and across restarts
+      .inputOptions('-copyts')
+      .size(`${rendition.resolution.width}x${rendition.resolution.height}`);
+    if (rendition.frameRateCap) {
+      command.fps(rendition.frameRateCap);
+    }
+    return command
+      .outputOptions(
+        ...getEncoderOptions(rendition, this.preset, null, true),
+        ...getKeyFrameOptions(this.segmentDuration, rendition.fps),
+        ...getLiveHlsOptions(rendition, this.output, {
+          segmentDuration: this.segmentDuration,
+          windowSize: this.windowSize,
+          deleteSegments: this.deleteSegments,
+          restarted
+        })
+      )
+      .output(path.join(this.output, rendition.playlistName));
+  }
+
+  // Interrupt the encoders after the relay exited; they restart without waiting
+  restartEncoders() {
+    this.encoders.forEach(entry => {
+      entry.interrupted = true;
+      entry.command.kill('SIGKILL');
+    });
+  }
+
+  // Run the command made by create until stop(), starting a new one whenever it exits
+  async supervise(name, create, group, onExit = null) {
+    const processLogger = createLogger(`live-${name.replace(/\s+/g, '-')}`);
+    let failures = 0;
+
+    for (let run = 0; !this.stopping; run++) {
+      const entry = { command: create(run > 0), interrupted: false };
+      const startedAt = Date.now();
+      group.add(entry);
+      const reason = await new Promise(resolve => {
+        entry.command
+          .on('start', () => processLogger.info(`🎬 Started ${name}${run > 0 ? ' again' : ''}`))
+          .on('end', () => resolve(null))
+          .on('error', err => resolve(err.message))
+          .run();
+      });
+      group.delete(entry);
+      if (this.stopping) break;
+
+      if (onExit) onExit();
+      this.restarts++;
+      if (entry.interrupted) {
+        processLogger.info(`🔄 Restarting ${name} for the new source session`);
+        continue;
+      }
+      failures = Date.now() - startedAt >= STABLE_RUN ? 1 : failures + 1;
+      const delay = Math.min(1000 * 2 ** (failures - 1), MAX_RESTART_DELAY);
+      processLogger.warn(`⚠️ ${name} ${reason ? `died: ${reason.split('\n')[0]}` : 'exited'}, restarting in ${delay / 1000}s`);
+      await this.sleep(delay);
+    }
+  }
+
+  sleep(milliseconds) {
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.sleepers.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, milliseconds);
+      this.sleepers.add(wake);
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_LIVE_LADDER,
+  getLiveHlsOptions,
+  LiveTranscoder
+};
@@ -1,5 +1,44 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const winston = require('winston');
 
+// Console setting of the job running in the current async context, see withConsoleLogging
+const consoleScope = new AsyncLocalStorage();
+
+// Live status line (the progress display) kept below the log output on a terminal
+let statusLine = '';
+
+function clearStatusLine() {
+  if (statusLine) process.stdout.write('\r\x1b[K');
+}
+
+function drawStatusLine() {
+  if (statusLine) process.stdout.write(statusLine);
+}
+
+// Console transport that moves the status line out of the way of each log line
+class StatusConsole extends winston.transports.Console {
+  log(info, callback) {
+    const scope = consoleScope.getStore();
+    if (scope && !scope.enabled) {
+      callback();
+      return;
+    }
+    clearStatusLine();
+    super.log(info, callback);
+    drawStatusLine();
+  }
+}
+
+const consoleTransport = new StatusConsole({
+  format: winston.format.combine(
+    winston.format.colorize(),
+    winston.format.printf(({ timestamp, level, message, context }) => {
+      const contextStr = context ? `[${context}]` : '';
+      return `${timestamp} ${contextStr} [${level.toUpperCase()}]: ${message}`;
+    })
+  )
+});
+
 const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
@@ -11,17 +50,7 @@ const logger = winston.createLogger({
       return stack ? `${logMessage}\n${stack}` : logMessage;
     })
   ),
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.printf(({ timestamp, level, message, context }) => {
-          const contextStr = context ? `[${context}]` : '';
-          return `${timestamp} ${contextStr} [${level.toUpperCase()}]: ${message}`;
-        })
-      )
-    })
-  ]
+  transports: [consoleTransport]
 });
 
 // Function to create a child logger with context
@@ -29,10 +58,44 @@ function createLogger(context) {
   return logger.child({ context });
 }
 
+// Turn console output on or off for the whole process
+function setConsoleLogging(enabled) {
+  consoleTransport.silent = !enabled;
+}
+
+// Run fn with console output on or off for everything it logs, including the timers, child
+// processes and promises it starts, without affecting other code using the logger
+function withConsoleLogging(enabled, fn) {
+  return consoleScope.run({ enabled }, fn);
+}
+
+// Run fn outside any withConsoleLogging scope, e.g. callbacks of the code that started a job
+function withoutConsoleScope(fn) {
+  return consoleScope.exit(fn);
+}
+
+// Send every log line to stderr, keeping stdout for machine-readable output
+function logToStderr() {
+  consoleTransport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+}
+
+// Show text as a line below the log output that is redrawn in place; '' removes it.
+// Only used when stdout is a terminal, the line is cut to the terminal width.
+function setStatusLine(text) {
+  clearStatusLine();
+  statusLine = text && process.stdout.columns ? text.slice(0, process.stdout.columns - 1) : text;
+  drawStatusLine();
+}
+
 // Export logger and helper functions
 module.exports = {
   logger,
   createLogger,
+  setConsoleLogging,
+  withConsoleLogging,
+  withoutConsoleScope,
+  logToStderr,
+  setStatusLine,
   log: {
     info: (message) => logger.info(message),
     warn: (message) => logger.warn(message),
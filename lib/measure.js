@@ -0,0 +1,152 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { parseMediaPlaylist } = require('./playlist');
+const { getVideoCodecStringFromStream, getAudioCodecStringFromStream } = require('./codecs');
+
+// Size in bytes of a media segment, honouring EXT-X-BYTERANGE
+async function getSegmentSize(output, segment) {
+  if (segment.byteRange) {
+    return segment.byteRange.length;
+  }
+  const stats = await fs.stat(path.join(output, segment.uri));
+  return stats.size;
+}
+
+// Measure peak and average bitrate (bits per second) of a written media playlist.
+// The peak follows the HLS definition: the highest bitrate over any run of contiguous
+// segments lasting between 0.5 and 1.5 times the target duration.
+async function measureSegmentBitrates(output, playlistName) {
+  const playlist = parseMediaPlaylist(await fs.readFile(path.join(output, playlistName), 'utf8'));
+  const segments = [];
+  for (const segment of playlist.segments) {
+    segments.push({ duration: segment.duration, bits: (await getSegmentSize(output, segment)) * 8 });
+  }
+
+  const segmentsWithDuration = segments.filter(s => s.duration > 0);
+  if (segmentsWithDuration.length === 0) {
+    throw new Error(`No segments found in ${playlistName}`);
+  }
+
+  const totalBits = segmentsWithDuration.reduce((total, s) => total + s.bits, 0);
+  const totalDuration = segmentsWithDuration.reduce((total, s) => total + s.duration, 0);
+
+  const targetDuration = playlist.targetDuration || Math.ceil(Math.max(...segmentsWithDuration.map(s => s.duration)));
+  const minWindow = targetDuration * 0.5;
+  const maxWindow = targetDuration * 1.5;
+  let peak = 0;
+
+  for (let start = 0; start < segmentsWithDuration.length; start++) {
+    let bits = 0;
+    let duration = 0;
+    for (let end = start; end < segmentsWithDuration.length; end++) {
+      bits += segmentsWithDuration[end].bits;
+      duration += segmentsWithDuration[end].duration;
+      if (duration > maxWindow) break;
+      if (duration >= minWindow) {
+        peak = Math.max(peak, bits / duration);
+      }
+    }
+  }
+
+  // Very short outputs may have no qualifying window, fall back to single segments
+  if (peak === 0) {
+    peak = Math.max(...segmentsWithDuration.map(s => s.bits / s.duration));
+  }
+
+  return {
+    peak: Math.ceil(peak),
+    average: Math.ceil(totalBits / totalDuration)
+  };
+}
+
+// Probe the streams of a written media playlist
+function probePlaylistStreams(output, playlistName) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(path.join(output, playlistName), (err, metadata) => {
+      if (err) {
+        reject(new Error(`Failed to probe ${playlistName}: ${err.message}`));
+        return;
+      }
+      resolve(metadata.streams || []);
+    });
+  });
+}
+
+// Parse an ffprobe frame rate such as "30000/1001"
+function parseFrameRate(rate) {
+  if (!rate) return null;
+  const [num, den] = String(rate).split('/').map(Number);
+  const fps = den ? num / den : num;
+  return Number.isFinite(fps) && fps > 0 ? fps : null;
+}
+
+// Replace a video variant's planned bandwidth, codecs and frame rate with measured values
+async function measureVariant(variant, output) {
+  const bitrates = await measureSegmentBitrates(output, variant.playlistName);
+  // Encrypted playlists cannot be probed without access to the key server; keep the planned codecs then
+  const streams = await probePlaylistStreams(output, variant.playlistName).catch(() => []);
+  const video = streams.find(s => s.codec_type === 'video');
+  const audio = streams.find(s => s.codec_type === 'audio');
+
+  return {
+    ...variant,
+    bandwidth: bitrates.peak,
+    averageBandwidth: bitrates.average,
+    codecs: (video && getVideoCodecStringFromStream(video)) || variant.codecs,
+    audioCodecs: audio ? getAudioCodecStringFromStream(audio) : null,
+    frameRate: (video && parseFrameRate(video.avg_frame_rate)) || variant.fps
+  };
+}
+
+// Replace an audio rendition's planned bitrate and codec with measured values
+async function measureAudioRendition(rendition, output) {
+  const bitrates = await measureSegmentBitrates(output, rendition.playlistName);
+  const streams = await probePlaylistStreams(output, rendition.playlistName).catch(() => []);
+  const audio = streams.find(s => s.codec_type === 'audio');
+
+  return {
+    ...rendition,
+    bandwidth: bitrates.peak,
+    averageBandwidth: bitrates.average,
+    codecs: audio ? getAudioCodecStringFromStream(audio) : rendition.codecs
+  };
+}
+
+// Measure every finished rendition. A rendition that cannot be measured keeps its planned values.
+async function measureRenditions({ output, variants, audioRenditions = [] }) {
+  const measureLogger = createLogger('measure');
+  measureLogger.info('📏 Measuring segment bitrates and codecs...');
+
+  const measuredVariants = [];
+  for (const variant of variants) {
+    try {
+      const measured = await measureVariant(variant, output);
+      measureLogger.info(`   • ${variant.name}: peak ${Math.round(measured.bandwidth / 1000)}k, average ${Math.round(measured.averageBandwidth / 1000)}k, ${measured.codecs}`);
+      measuredVariants.push(measured);
+    } catch (error) {
+      measureLogger.warn(`⚠️ Could not measure ${variant.name}, using planned values: ${error.message}`);
+      measuredVariants.push(variant);
+    }
+  }
+
+  const measuredAudio = [];
+  for (const rendition of audioRenditions) {
+    try {
+      const measured = await measureAudioRendition(rendition, output);
+      measureLogger.info(`   • ${rendition.name} @ ${rendition.bitrate}k: peak ${Math.round(measured.bandwidth / 1000)}k, average ${Math.round(measured.averageBandwidth / 1000)}k`);
+      measuredAudio.push(measured);
+    } catch (error) {
+      measureLogger.warn(`⚠️ Could not measure ${rendition.name}, using planned values: ${error.message}`);
+      measuredAudio.push(rendition);
+    }
+  }
+
+  return { variants: measuredVariants, audioRenditions: measuredAudio };
+}
+
+module.exports = {
+  measureSegmentBitrates,
+  measureRenditions
+};
@@ -0,0 +1,135 @@
+const ffmpeg = require('fluent-ffmpeg');
+const os = require('os');
+const { killOnAbort } = require('./utils');
+
+// Full-reference quality metrics computed by FFmpeg filters. pattern pulls the
+// overall score out of the filter's summary line on stderr, framePattern a frame's
+// score out of the filter's stats file. floor is the lowest score we consider
+// acceptable for any rendition.
+const QUALITY_METRICS = {
+  vmaf: { name: 'VMAF', filter: 'libvmaf', pattern: /VMAF score[:=]\s*([\d.]+)/, decimals: 2, floor: 60 },
+  ssim: { name: 'SSIM', filter: 'ssim', pattern: /SSIM .*All:([\d.]+)/, framePattern: /All:([\d.]+)/, decimals: 4, floor: 0.92 },
+  psnr: { name: 'PSNR', filter: 'psnr', pattern: /PSNR .*average:([\d.]+|inf)/, framePattern: /psnr_avg:([\d.]+|inf)/, decimals: 2, floor: 32 }
+};
+
+// PSNR of identical frames is infinite; report it as 100 dB so averages stay finite
+const MAX_PSNR = 100;
+
+function formatScore(metric, score) {
+  return score.toFixed(QUALITY_METRICS[metric].decimals);
+}
+
+// Filter expression comparing [distorted] with [reference], optionally logging
+// per-frame scores to logFile (a plain file name, FFmpeg runs in its folder)
+function getMetricFilter(metric, logFile = null) {
+  if (metric === 'vmaf') {
+    const threads = `n_threads=${Math.min(4, os.cpus().length)}`;
+    return logFile ? `libvmaf=${threads}:log_fmt=json:log_path=${logFile}` : `libvmaf=${threads}`;
+  }
+  return logFile ? `${QUALITY_METRICS[metric].filter}=stats_file=${logFile}` : QUALITY_METRICS[metric].filter;
+}
+
+// Overall score from the metric filter's stderr output, or null when it is missing
+function parseMetricScore(metric, stderr) {
+  const match = QUALITY_METRICS[metric].pattern.exec(stderr);
+  if (!match) return null;
+  return match[1] === 'inf' ? MAX_PSNR : parseFloat(match[1]);
+}
+
+// Per-frame scores from a metric log: a JSON log for VMAF, stats file lines for SSIM and PSNR
+function parseFrameScores(metric, text) {
+  if (metric === 'vmaf') {
+    return JSON.parse(text).frames.map(frame => frame.metrics.vmaf);
+  }
+  return text.split('\n')
+    .map(line => QUALITY_METRICS[metric].framePattern.exec(line))
+    .filter(Boolean)
+    .map(match => (match[1] === 'inf' ? MAX_PSNR : parseFloat(match[1])));
+}
+
+// Parse a --quality-thresholds value such as "vmaf=80,ssim=0.95"
+function parseQualityThresholds(spec) {
+  const thresholds = {};
+  spec.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const match = /^([a-z]+)=(.+)$/i.exec(item);
+    if (!match) {
+      throw new Error(`Invalid quality threshold "${item}": expected metric=score such as vmaf=80`);
+    }
+    const score = match[2].trim();
+    thresholds[match[1].toLowerCase()] = !isNaN(Number(score)) ? Number(score) : score;
+  });
+  return thresholds;
+}
+
+// VMAF needs an FFmpeg build with libvmaf; SSIM and PSNR are always available
+function checkMetricAvailable(metric) {
+  if (!QUALITY_METRICS[metric]) {
+    return Promise.reject(new Error(`Unsupported quality metric: ${metric} (expected ${Object.keys(QUALITY_METRICS).join(', ')})`));
+  }
+  if (metric !== 'vmaf') {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    ffmpeg.getAvailableFilters((err, filters) => {
+      if (err) {
+        reject(new Error(`Cannot list FFmpeg filters: ${err.message}`));
+      } else if (!filters.libvmaf) {
+        reject(new Error('VMAF requires an FFmpeg build with libvmaf, use the ssim or psnr metric instead'));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Score a distorted video against a stretch of the reference. Both are scaled to
+// width x height (normally the source size) before comparison.
+function measureQuality({ distorted, reference, start = 0, duration = null, width, height, metric = 'vmaf', signal = null }) {
+  return new Promise((resolve, reject) => {
+    const stderr = [];
+    const referenceOptions = [];
+    if (start > 0) referenceOptions.push('-ss', start.toString());
+    if (duration) referenceOptions.push('-t', duration.toString());
+
+    const command = ffmpeg(distorted).input(reference);
+    if (referenceOptions.length > 0) {
+      command.inputOptions(referenceOptions);
+    }
+
+    const detach = killOnAbort(signal, command);
+    command
+      .complexFilter([
+        `[0:v]scale=${width}:${height}:flags=bicubic,format=yuv420p,setpts=PTS-STARTPTS[distorted]`,
+        `[1:v]scale=${width}:${height}:flags=bicubic,format=yuv420p,setpts=PTS-STARTPTS[reference]`,
+        `[distorted][reference]${getMetricFilter(metric)}`
+      ])
+      .outputOptions('-an', '-f', 'null')
+      .on('stderr', line => stderr.push(line))
+      .on('end', () => {
+        detach();
+        const score = parseMetricScore(metric, stderr.join('\n'));
+        if (score === null) {
+          reject(new Error(`FFmpeg did not report a ${QUALITY_METRICS[metric].name} score`));
+        } else {
+          resolve(score);
+        }
+      })
+      .on('error', (err) => {
+        detach();
+        reject(new Error(`Failed to measure ${QUALITY_METRICS[metric].name}: ${err.message}`));
+      })
+      .save('-');
+  });
+}
+
+module.exports = {
+  QUALITY_METRICS,
+  formatScore,
+  getMetricFilter,
+  parseMetricScore,
+  parseFrameScores,
+  parseQualityThresholds,
+  checkMetricAvailable,
+  measureQuality
+};
@@ -0,0 +1,193 @@
+// Master playlist generation
+
+const { AAC_LC_CODEC } = require('./codecs');
+
+// Attributes whose values are quoted-strings in the HLS spec; everything else is written bare
+const QUOTED_ATTRIBUTES = new Set([
+  'GROUP-ID', 'NAME', 'LANGUAGE', 'ASSOC-LANGUAGE', 'URI', 'CHANNELS', 'CODECS',
+  'AUDIO', 'VIDEO', 'SUBTITLES', 'CHARACTERISTICS', 'INSTREAM-ID', 'KEYFORMAT', 'KEYFORMATVERSIONS'
+]);
+
+// Format an EXT-X attribute list, skipping empty values
+function formatAttributes(attributes) {
+  return Object.keys(attributes)
+    .filter(key => attributes[key] !== undefined && attributes[key] !== null && attributes[key] !== '')
+    .map(key => QUOTED_ATTRIBUTES.has(key) ? `${key}="${attributes[key]}"` : `${key}=${attributes[key]}`)
+    .join(',');
+}
+
+// Read the init segment and media segments (with optional byte ranges) out of an HLS media playlist
+function parseMediaPlaylist(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+  const segments = [];
+  let initSegment = null;
+  let targetDuration = null;
+  let pendingDuration = null;
+  let pendingByteRange = null;
+  let nextOffset = 0;
+
+  lines.forEach(line => {
+    if (line.startsWith('#EXT-X-MAP:')) {
+      const match = line.match(/URI="([^"]+)"/);
+      if (match) initSegment = match[1];
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      targetDuration = parseInt(line.substring('#EXT-X-TARGETDURATION:'.length), 10);
+    } else if (line.startsWith('#EXTINF:')) {
+      pendingDuration = parseFloat(line.substring('#EXTINF:'.length));
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      // <length>[@<offset>], the offset defaults to the end of the previous range
+      const [length, offset] = line.substring('#EXT-X-BYTERANGE:'.length).split('@').map(Number);
+      pendingByteRange = { length, offset: offset !== undefined ? offset : nextOffset };
+      nextOffset = pendingByteRange.offset + length;
+    } else if (!line.startsWith('#') && pendingDuration !== null) {
+      segments.push({ duration: pendingDuration, uri: line, byteRange: pendingByteRange });
+      pendingDuration = null;
+      pendingByteRange = null;
+    }
+  });
+
+  return { initSegment, targetDuration, segments };
+}
+
+// Build an EXT-X-MEDIA entry for an audio rendition
+function buildAudioMedia(rendition) {
+  const attributes = formatAttributes({
+    TYPE: 'AUDIO',
+    'GROUP-ID': rendition.groupId,
+    NAME: rendition.name,
+    LANGUAGE: rendition.language && rendition.language !== 'und' ? rendition.language : null,
+    DEFAULT: rendition.isDefault ? 'YES' : 'NO',
+    AUTOSELECT: 'YES',
+    CHANNELS: rendition.channels ? String(rendition.channels) : null,
+    URI: rendition.playlistName
+  });
+  return `#EXT-X-MEDIA:${attributes}\n`;
+}
+
+// Build an EXT-X-MEDIA entry for a WebVTT subtitle rendition
+function buildSubtitleMedia(rendition) {
+  const attributes = formatAttributes({
+    TYPE: 'SUBTITLES',
+    'GROUP-ID': rendition.groupId,
+    NAME: rendition.name,
+    LANGUAGE: rendition.language && rendition.language !== 'und' ? rendition.language : null,
+    DEFAULT: rendition.isDefault ? 'YES' : 'NO',
+    AUTOSELECT: 'YES',
+    FORCED: rendition.isForced ? 'YES' : 'NO',
+    URI: rendition.playlistName
+  });
+  return `#EXT-X-MEDIA:${attributes}\n`;
+}
+
+// Build an EXT-X-STREAM-INF entry for a video variant
+function buildStreamInf(variant, audioGroup = null, subtitleGroupId = null) {
+  const bandwidth = variant.bandwidth + (audioGroup ? audioGroup.bandwidth : 0);
+  const averageBandwidth = variant.averageBandwidth
+    ? variant.averageBandwidth + (audioGroup ? audioGroup.averageBandwidth : 0)
+    : null;
+  // Measured frame rate when available, otherwise the planned one
+  const frameRate = variant.frameRate || variant.fps;
+
+  // CODECS lists every codec the variant needs, including audio from its group
+  const codecs = [variant.codecs];
+  if (audioGroup) {
+    codecs.push(...audioGroup.codecs);
+  } else if (variant.hasAudio) {
+    codecs.push(variant.audioCodecs || AAC_LC_CODEC);
+  }
+
+  const attributes = formatAttributes({
+    BANDWIDTH: bandwidth,
+    'AVERAGE-BANDWIDTH': averageBandwidth,
+    CODECS: [...new Set(codecs.filter(Boolean))].join(','),
+    RESOLUTION: `${variant.resolution.width}x${variant.resolution.height}`,
+    'FRAME-RATE': frameRate ? frameRate.toFixed(3) : null,
+    NAME: variant.name,
+    AUDIO: audioGroup ? audioGroup.groupId : null,
+    SUBTITLES: subtitleGroupId,
+    'CLOSED-CAPTIONS': 'NONE'
+  });
+  return `#EXT-X-STREAM-INF:${attributes}\n${variant.playlistName}\n\n`;
+}
+
+// Build an EXT-X-I-FRAME-STREAM-INF entry for a trick-play playlist
+function buildIframeStreamInf(iframeVariant) {
+  const attributes = formatAttributes({
+    BANDWIDTH: iframeVariant.bandwidth,
+    'AVERAGE-BANDWIDTH': iframeVariant.averageBandwidth,
+    CODECS: iframeVariant.codecs,
+    RESOLUTION: `${iframeVariant.resolution.width}x${iframeVariant.resolution.height}`,
+    URI: iframeVariant.playlistName
+  });
+  return `#EXT-X-I-FRAME-STREAM-INF:${attributes}\n`;
+}
+
+// Group audio renditions by GROUP-ID, keeping the order they were declared in
+function groupAudioRenditions(audioRenditions) {
+  const groups = [];
+  audioRenditions.forEach(rendition => {
+    let group = groups.find(g => g.groupId === rendition.groupId);
+    if (!group) {
+      group = { groupId: rendition.groupId, bandwidth: 0, averageBandwidth: 0, codecs: [], renditions: [] };
+      groups.push(group);
+    }
+    group.renditions.push(rendition);
+
+    // Measured values when available, otherwise the target bitrate
+    group.bandwidth = Math.max(group.bandwidth, rendition.bandwidth || rendition.bitrate * 1000);
+    group.averageBandwidth = Math.max(group.averageBandwidth, rendition.averageBandwidth || rendition.bitrate * 1000);
+    const codec = rendition.codecs || AAC_LC_CODEC;
+    if (!group.codecs.includes(codec)) {
+      group.codecs.push(codec);
+    }
+  });
+  return groups;
+}
+
+// Build the complete master playlist. Every video variant is listed once per audio group, and
+// the entries are sorted by their combined bandwidth (lowest first).
+function buildMasterPlaylist({ variants, audioRenditions = [], subtitleRenditions = [], iframeVariants = [], version = 3 }) {
+  let masterPlaylist = '#EXTM3U\n';
+  masterPlaylist += `#EXT-X-VERSION:${version}\n`;
+  masterPlaylist += '#EXT-X-INDEPENDENT-SEGMENTS\n\n';
+
+  const audioGroups = groupAudioRenditions(audioRenditions);
+  const subtitleGroupId = subtitleRenditions.length > 0 ? subtitleRenditions[0].groupId : null;
+
+  if (audioRenditions.length > 0 || subtitleRenditions.length > 0) {
+    audioRenditions.forEach(rendition => {
+      masterPlaylist += buildAudioMedia(rendition);
+    });
+    subtitleRenditions.forEach(rendition => {
+      masterPlaylist += buildSubtitleMedia(rendition);
+    });
+    masterPlaylist += '\n';
+  }
+
+  const entries = [];
+  (audioGroups.length > 0 ? audioGroups : [null]).forEach(group => {
+    variants.forEach(variant => {
+      entries.push({ variant, group, bandwidth: variant.bandwidth + (group ? group.bandwidth : 0) });
+    });
+  });
+  entries.sort((a, b) => a.bandwidth - b.bandwidth).forEach(({ variant, group }) => {
+    masterPlaylist += buildStreamInf(variant, group, subtitleGroupId);
+  });
+
+  // Trick-play playlists follow the regular variants
+  [...iframeVariants].sort((a, b) => a.bandwidth - b.bandwidth).forEach(iframeVariant => {
+    masterPlaylist += buildIframeStreamInf(iframeVariant);
+  });
+
+  return masterPlaylist;
+}
+
+module.exports = {
+  formatAttributes,
+  parseMediaPlaylist,
+  buildAudioMedia,
+  buildSubtitleMedia,
+  buildStreamInf,
+  buildIframeStreamInf,
+  buildMasterPlaylist
+};
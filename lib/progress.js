@@ -0,0 +1,163 @@
+const { createLogger, setStatusLine } = require('./logger');
+
+const PROGRESS_MODES = ['auto', 'json', 'none'];
+// Seconds between progress lines: live display and JSON, and plain log lines when stdout is not a terminal
+const DISPLAY_INTERVAL = 1;
+const LOG_INTERVAL = 30;
+
+function formatDuration(seconds) {
+  if (seconds === null) return '--';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = total % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${rest}s`;
+  return `${rest}s`;
+}
+
+// Combines the rendition:* events of one job into an overall percentage and ETA. Each rendition
+// counts by its encode cost, the kilobits it has to produce over the source duration, so a
+// finished 360p does not count as much as the 1080p still encoding. The ETA extrapolates the
+// time spent since the first encode started.
+class ProgressTracker {
+  constructor() {
+    this.renditions = new Map();
+    this.duration = null;
+    this.startedAt = null;
+    this.gpuUsage = null;
+    this.costs = new Map();
+  }
+
+  // Every rendition is known from the plan, so queued ones count towards the total
+  setPlan(plan) {
+    this.duration = plan.source ? plan.source.duration || null : null;
+    [...plan.renditions, ...plan.audio].forEach(({ playlist, label, name, bitrate }) => {
+      this.renditions.set(playlist, { rendition: playlist, label: label || `${name} @ ${bitrate}k`, status: 'pending', percent: 0, fps: null, speed: null });
+      this.costs.set(playlist, (bitrate || 1) * (this.duration || 1));
+    });
+  }
+
+  update(update) {
+    if (update.status === 'running' && !this.startedAt) {
+      this.startedAt = Date.now();
+    }
+    const entry = this.renditions.get(update.rendition) || {};
+    this.renditions.set(update.rendition, {
+      ...entry,
+      ...update,
+      // FFmpeg leaves percent out when it cannot tell; keep the last known value
+      percent: update.percent === null ? entry.percent || 0 : update.percent
+    });
+  }
+
+  snapshot() {
+    const renditions = [...this.renditions.values()];
+    // Renditions missing from the plan count as much as the cheapest planned one
+    const fallbackCost = this.costs.size > 0 ? Math.min(...this.costs.values()) : 1;
+    const cost = r => this.costs.get(r.rendition) || fallbackCost;
+    const totalCost = renditions.reduce((sum, r) => sum + cost(r), 0);
+    const percent = totalCost > 0
+      ? renditions.reduce((sum, r) => sum + cost(r) * (r.status === 'complete' ? 100 : r.percent || 0), 0) / totalCost
+      : 0;
+    const elapsed = this.startedAt ? (Date.now() - this.startedAt) / 1000 : 0;
+    const eta = percent > 0 && percent < 100 ? elapsed * (100 - percent) / percent : null;
+
+    return {
+      percent: Math.round(percent * 10) / 10,
+      elapsed: Math.round(elapsed),
+      eta: eta === null ? null : Math.round(eta),
+      gpuUsage: this.gpuUsage,
+      renditions
+    };
+  }
+}
+
+// One-line summary, e.g. ⏳ 42.5% | 1080p 40% 31fps 1.2x | 720p done | 480p queued | ETA 3m 10s
+function formatProgressLine(snapshot) {
+  const rungs = snapshot.renditions.map(r => {
+    if (r.status === 'complete') return `${r.label} done`;
+    if (r.status === 'pending') return `${r.label} queued`;
+    const details = [`${Math.floor(r.percent || 0)}%`, r.fps ? `${r.fps}fps` : null, r.speed ? `${r.speed}x` : null].filter(Boolean);
+    return `${r.label} ${details.join(' ')}`;
+  });
+  const gpu = snapshot.gpuUsage !== null && snapshot.gpuUsage !== undefined ? [`GPU ${snapshot.gpuUsage}%`] : [];
+  return [`⏳ ${snapshot.percent.toFixed(1)}%`, ...rungs, ...gpu, `ETA ${formatDuration(snapshot.eta)}`].join(' | ');
+}
+
+// Report the progress of a job given as an EventEmitter with the transcoder's plan and
+// rendition:* events (the Transcoder class, or the events option of transcodeVideo).
+// mode auto shows a live status line on a terminal and a log line every 30 seconds
+// otherwise; json writes newline-delimited JSON events to stdout; none reports nothing.
+// Returns a function to call once the job is over, with its error or (null, result).
+function reportJobProgress(events, mode = 'auto', stream = process.stdout) {
+  if (!PROGRESS_MODES.includes(mode)) {
+    throw new Error(`Unknown progress mode "${mode}" (expected ${PROGRESS_MODES.join(', ')})`);
+  }
+  if (mode === 'none') {
+    return () => {};
+  }
+
+  const tracker = new ProgressTracker();
+  const progressLogger = createLogger('progress');
+  const live = mode === 'auto' && stream.isTTY;
+  let lastReport = 0;
+
+  const writeJson = (event, data) => {
+    stream.write(`${JSON.stringify({ event, time: new Date().toISOString(), ...data })}\n`);
+  };
+
+  // Progress reports are throttled; status changes (start, end) are reported right away
+  const report = (force = false) => {
+    const interval = mode === 'auto' && !live ? LOG_INTERVAL : DISPLAY_INTERVAL;
+    if (!force && Date.now() - lastReport < interval * 1000) return;
+    lastReport = Date.now();
+
+    const snapshot = tracker.snapshot();
+    if (mode === 'json') {
+      writeJson('progress', snapshot);
+    } else if (live) {
+      setStatusLine(formatProgressLine(snapshot));
+    } else {
+      progressLogger.info(formatProgressLine(snapshot));
+    }
+  };
+
+  events.on('plan', plan => {
+    tracker.setPlan(plan);
+    if (mode === 'json') {
+      writeJson('plan', { duration: tracker.duration, renditions: [...tracker.renditions.values()].map(({ rendition, label }) => ({ rendition, label })) });
+    }
+  });
+  events.on('gpu', ({ usage }) => {
+    tracker.gpuUsage = usage;
+    report();
+  });
+  ['rendition:start', 'rendition:progress', 'rendition:end'].forEach(name => {
+    events.on(name, update => {
+      tracker.update(update);
+      if (mode === 'json' && name !== 'rendition:progress') {
+        writeJson(name, update);
+      }
+      report(name !== 'rendition:progress' && live);
+    });
+  });
+
+  return (error = null, result = null) => {
+    if (live) {
+      setStatusLine('');
+    }
+    if (mode === 'json' && error) {
+      writeJson('error', { message: error.message });
+    } else if (mode === 'json') {
+      writeJson('done', { output: result.output, manifests: result.manifests, duration: Math.round(result.duration / 1000) });
+    }
+  };
+}
+
+module.exports = {
+  PROGRESS_MODES,
+  ProgressTracker,
+  formatProgressLine,
+  reportJobProgress
+};
@@ -0,0 +1,211 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { killOnAbort, throwIfCancelled } = require('./utils');
+const { parseMediaPlaylist } = require('./playlist');
+const { QUALITY_METRICS, formatScore, getMetricFilter, parseFrameScores, checkMetricAvailable } = require('./metrics');
+
+const REPORT_FILE = 'quality-report.json';
+
+// SSIM and PSNR are always measured, VMAF only when FFmpeg has libvmaf
+async function getReportMetrics() {
+  const metrics = ['ssim', 'psnr'];
+  try {
+    await checkMetricAvailable('vmaf');
+    metrics.push('vmaf');
+  } catch (error) {
+    createLogger('quality').info(`   VMAF skipped: ${error.message}`);
+  }
+  return metrics;
+}
+
+// Fill in default thresholds (each metric's floor) and reject unknown metrics
+function resolveThresholds(thresholds = {}) {
+  const unknown = Object.keys(thresholds).find(metric => !QUALITY_METRICS[metric]);
+  if (unknown) {
+    throw new Error(`Unknown quality metric in thresholds: ${unknown} (expected ${Object.keys(QUALITY_METRICS).join(', ')})`);
+  }
+
+  const resolved = {};
+  Object.keys(QUALITY_METRICS).forEach(metric => {
+    resolved[metric] = thresholds[metric] !== undefined ? thresholds[metric] : QUALITY_METRICS[metric].floor;
+  });
+  return resolved;
+}
+
+// Score every frame of a rendition against the source in one FFmpeg pass. Both are
+// scaled to the source size, and the metric filters are chained so each one passes
+// the rendition frames on to the next. Per-frame scores are logged to workDir.
+function scoreFrames({ playlistPath, inputFile, sourceInfo, frameRate, metrics, workDir, signal = null }) {
+  return new Promise((resolve, reject) => {
+    const prepare = `scale=${sourceInfo.width}:${sourceInfo.height}:flags=bicubic,format=yuv420p,setpts=PTS-STARTPTS`;
+    // Renditions with a frame rate cap are compared with source frames at the same rate
+    const referenceRate = frameRate && sourceInfo.fps && frameRate < sourceInfo.fps ? `fps=${frameRate},` : '';
+    const filters = [
+      `[0:v]${prepare}[distorted0]`,
+      `[1:v]${referenceRate}${prepare},split=${metrics.length}${metrics.map((metric, i) => `[reference${i}]`).join('')}`
+    ];
+    metrics.forEach((metric, i) => {
+      const outputLabel = i < metrics.length - 1 ? `[distorted${i + 1}]` : '';
+      filters.push(`[distorted${i}][reference${i}]${getMetricFilter(metric, `${metric}.log`)}${outputLabel}`);
+    });
+
+    // FFmpeg runs inside workDir so the log paths need no filter escaping
+    const command = ffmpeg(path.resolve(playlistPath), { cwd: workDir });
+    const detach = killOnAbort(signal, command);
+    command
+      .input(path.resolve(inputFile))
+      .complexFilter(filters)
+      .outputOptions('-an', '-f', 'null')
+      .on('end', async () => {
+        detach();
+        try {
+          const scores = {};
+          for (const metric of metrics) {
+            scores[metric] = parseFrameScores(metric, await fs.readFile(path.join(workDir, `${metric}.log`), 'utf8'));
+          }
+          resolve(scores);
+        } catch (error) {
+          reject(new Error(`Cannot read quality logs: ${error.message}`));
+        }
+      })
+      .on('error', (err) => {
+        detach();
+        reject(new Error(`Quality measurement failed: ${err.message}`));
+      })
+      .save('-');
+  });
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Group per-frame scores by media segment using the playlist's segment durations
+function groupBySegment(frameScores, playlist, frameRate, metrics) {
+  let start = 0;
+  const segments = playlist.segments.map((segment, index) => {
+    const entry = { index, uri: segment.uri, start, duration: segment.duration, frames: {} };
+    metrics.forEach(metric => { entry.frames[metric] = []; });
+    start += segment.duration;
+    return entry;
+  });
+
+  metrics.forEach(metric => {
+    let segmentIndex = 0;
+    frameScores[metric].forEach((score, frame) => {
+      const time = frame / frameRate;
+      while (segmentIndex < segments.length - 1 && time >= segments[segmentIndex].start + segments[segmentIndex].duration) {
+        segmentIndex++;
+      }
+      segments[segmentIndex].frames[metric].push(score);
+    });
+  });
+
+  return segments;
+}
+
+const round = (metric, score) => (score === null ? null : Number(formatScore(metric, score)));
+
+// Averages, worst segment and per-segment scores for one rendition
+async function measureVariantQuality({ variant, output, inputFile, sourceInfo, metrics, thresholds, workDir, signal = null }) {
+  const playlistPath = path.join(output, variant.playlistName);
+  const playlist = parseMediaPlaylist(await fs.readFile(playlistPath, 'utf8'));
+  const frameRate = variant.frameRate || variant.fps || sourceInfo.fps || 30;
+
+  const frameScores = await scoreFrames({ playlistPath, inputFile, sourceInfo, frameRate, metrics, workDir, signal });
+  const segments = groupBySegment(frameScores, playlist, frameRate, metrics);
+
+  const average = {};
+  const worstSegment = {};
+  metrics.forEach(metric => {
+    average[metric] = round(metric, mean(frameScores[metric]));
+
+    const scored = segments.filter(segment => segment.frames[metric].length > 0);
+    const worst = scored.reduce((lowest, segment) =>
+      (!lowest || mean(segment.frames[metric]) < mean(lowest.frames[metric]) ? segment : lowest), null);
+    worstSegment[metric] = worst ? { index: worst.index, uri: worst.uri, score: round(metric, mean(worst.frames[metric])) } : null;
+  });
+
+  const belowThreshold = metrics.filter(metric => average[metric] !== null && average[metric] < thresholds[metric]);
+
+  return {
+    name: variant.name,
+    playlist: variant.playlistName,
+    codec: variant.codec,
+    resolution: `${variant.resolution.width}x${variant.resolution.height}`,
+    bandwidth: variant.bandwidth,
+    average,
+    worstSegment,
+    belowThreshold,
+    flagged: belowThreshold.length > 0,
+    segments: segments.map(segment => {
+      const scores = {};
+      metrics.forEach(metric => { scores[metric] = round(metric, mean(segment.frames[metric])); });
+      return {
+        index: segment.index,
+        uri: segment.uri,
+        start: Math.round(segment.start * 1000) / 1000,
+        duration: segment.duration,
+        scores,
+        belowThreshold: metrics.filter(metric => scores[metric] !== null && scores[metric] < thresholds[metric])
+      };
+    })
+  };
+}
+
+// Compare every video rendition with the source and write quality-report.json
+async function writeQualityReport({ output, inputFile, sourceInfo, variants, thresholds = {}, signal = null }) {
+  const qualityLogger = createLogger('quality');
+  const resolvedThresholds = resolveThresholds(thresholds);
+  qualityLogger.info(`🔬 Measuring quality of ${variants.length} renditions against the source...`);
+
+  const metrics = await getReportMetrics();
+  const describe = (scores) => metrics.map(metric => `${QUALITY_METRICS[metric].name} ${formatScore(metric, scores[metric])}`).join(', ');
+  const renditions = [];
+
+  for (const variant of variants) {
+    throwIfCancelled(signal);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quality-'));
+    try {
+      const result = await measureVariantQuality({ variant, output, inputFile, sourceInfo, metrics, thresholds: resolvedThresholds, workDir, signal });
+      const worst = {};
+      metrics.forEach(metric => { worst[metric] = result.worstSegment[metric] ? result.worstSegment[metric].score : 0; });
+      qualityLogger.info(`   • ${variant.name}: ${describe(result.average)} (worst segment: ${describe(worst)})`);
+      if (result.flagged) {
+        qualityLogger.warn(`⚠️ ${variant.name} is below the ${result.belowThreshold.map(metric => `${QUALITY_METRICS[metric].name} threshold of ${resolvedThresholds[metric]}`).join(' and ')}`);
+      }
+      renditions.push(result);
+    } catch (error) {
+      // A cancelled job stops here instead of reporting the killed pass as a failed measurement
+      throwIfCancelled(signal);
+      qualityLogger.warn(`⚠️ Could not measure quality of ${variant.name}: ${error.message}`);
+      renditions.push({ name: variant.name, playlist: variant.playlistName, error: error.message });
+    } finally {
+      await fs.remove(workDir);
+    }
+  }
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    source: { width: sourceInfo.width, height: sourceInfo.height, fps: sourceInfo.fps },
+    metrics,
+    thresholds: Object.fromEntries(metrics.map(metric => [metric, resolvedThresholds[metric]])),
+    flagged: renditions.filter(r => r.flagged).map(r => r.playlist),
+    renditions
+  };
+
+  const reportPath = path.join(output, REPORT_FILE);
+  await fs.writeJson(reportPath, report, { spaces: 2 });
+  qualityLogger.info(`📊 Quality report written to ${reportPath}${report.flagged.length > 0 ? ` (${report.flagged.length} flagged)` : ''}`);
+
+  return report;
+}
+
+module.exports = {
+  REPORT_FILE,
+  resolveThresholds,
+  writeQualityReport
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { transcodeVideo } = require('./transcoder');
+const { validateOptions, validateCombination, resolvePaths } = require('./config');
+const { isS3Url } = require('./s3');
+
+const QUEUE_FILE = 'transcode-jobs.json';
+const QUEUE_VERSION = 1;
+const JOB_STATUSES = ['queued', 'running', 'complete', 'failed', 'cancelled'];
+// Progress-only changes are written at most this often
+const PROGRESS_SAVE_INTERVAL = 2000;
+// Finished jobs kept in the queue file for reference
+const QUEUE_HISTORY = 200;
+
+// Manifests and sidecar files of a finished job, as absolute paths (null when not written)
+async function findManifests(output) {
+  const files = (await fs.pathExists(output)) ? await fs.readdir(output) : [];
+  const find = (name) => (files.includes(name) ? path.join(output, name) : null);
+  return {
+    hls: find('master.m3u8'),
+    dash: find('manifest.mpd'),
+    playlists: files.filter(file => file.endsWith('.m3u8') && file !== 'master.m3u8').sort().map(file => path.join(output, file)),
+    thumbnails: find('thumbnails.vtt'),
+    qualityReport: find('quality-report.json')
+  };
+}
+
+// Overall progress: the mean of the rendition percentages, finished renditions counting as 100
+function getJobProgress(job) {
+  if (job.status === 'complete') return 100;
+  const renditions = Object.values(job.renditions);
+  if (renditions.length === 0) return 0;
+  const total = renditions.reduce((sum, r) => sum + (r.status === 'complete' ? 100 : r.percent || 0), 0);
+  return Math.round(total / renditions.length * 10) / 10;
+}
+
+// Persistent queue of transcoding jobs run by a fixed number of workers. The queue is
+// stored in a JSON file; jobs that were running when the process stopped are queued
+// again on load and resume from the renditions they had already finished.
+class JobQueue {
+  constructor({ stateFile = QUEUE_FILE, workers = 1 } = {}) {
+    this.file = path.resolve(stateFile);
+    this.workers = workers;
+    this.logger = createLogger('queue');
+    this.jobs = [];
+    this.controllers = new Map();
+    this.saving = Promise.resolve();
+    this.saveTimer = null;
+    this.stopping = false;
+  }
+
+  async load() {
+    if (await fs.pathExists(this.file)) {
+      const data = await fs.readJson(this.file);
+      if (data.version !== QUEUE_VERSION) {
+        throw new Error(`Unsupported job queue version ${data.version}: ${this.file}`);
+      }
+      this.jobs = data.jobs;
+    }
+
+    const interrupted = this.jobs.filter(job => job.status === 'running');
+    interrupted.forEach(job => {
+      job.status = 'queued';
+      this.logger.info(`♻️ Job ${job.id} was interrupted, queued again to resume`);
+    });
+    const queued = this.jobs.filter(job => job.status === 'queued').length;
+    this.logger.info(`📋 Job queue: ${this.file} (${this.jobs.length} jobs, ${queued} queued, ${this.workers} workers)`);
+
+    await this.save();
+    this.pump();
+  }
+
+  // Validate transcodeVideo options like a config file and queue a job for them
+  async submit(options) {
+    validateOptions(options, null, 'job');
+    const missing = ['input', 'output'].find(key => !options[key]);
+    if (missing) {
+      throw new Error(`Missing "${missing}"`);
+    }
+    if (options.batch || options.batchConcurrency) {
+      throw new Error('Batch options cannot be used for a queued job, submit one job per input');
+    }
+    const resolved = resolvePaths(options, process.cwd());
+    validateCombination(resolved);
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      options: resolved,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      attempts: 0,
+      error: null,
+      renditions: {},
+      manifests: null
+    };
+    this.jobs.push(job);
+    this.logger.info(`📥 Job ${job.id} queued: ${resolved.input} -> ${resolved.output}`);
+
+    await this.save();
+    this.pump();
+    return job;
+  }
+
+  list({ status = null } = {}) {
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw new Error(`Unknown job status "${status}" (expected ${JOB_STATUSES.join(', ')})`);
+    }
+    return this.jobs.filter(job => !status || job.status === status);
+  }
+
+  get(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  // A queued job is cancelled right away; a running job has its encodes killed and is
+  // marked cancelled once transcodeVideo gives up. Returns null for unknown jobs.
+  async cancel(id) {
+    const job = this.get(id);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      this.logger.info(`🛑 Job ${id} cancelled`);
+      await this.save();
+    } else if (job.status === 'running') {
+      job.cancelRequested = true;
+      this.controllers.get(id).abort();
+      this.logger.info(`🛑 Cancelling job ${id}`);
+      await this.save();
+    } else {
+      throw new Error(`Job ${id} is already ${job.status}`);
+    }
+    return job;
+  }
+
+  // Stop taking jobs and kill the running ones, leaving them queued for the next start
+  async stop() {
+    this.stopping = true;
+    const running = [...this.controllers.values()];
+    running.forEach(controller => controller.abort());
+    while (this.controllers.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    await this.save();
+  }
+
+  pump() {
+    while (!this.stopping && this.controllers.size < this.workers) {
+      const job = this.jobs.find(candidate => candidate.status === 'queued');
+      if (!job) return;
+
+      const controller = new AbortController();
+      this.controllers.set(job.id, controller);
+      this.runJob(job, controller.signal).finally(() => {
+        this.controllers.delete(job.id);
+        this.pump();
+      });
+    }
+  }
+
+  async runJob(job, signal) {
+    const startTime = Date.now();
+    job.status = 'running';
+    job.startedAt = new Date(startTime).toISOString();
+    job.attempts++;
+    job.error = null;
+    await this.save();
+
+    this.logger.info(`▶️ Job ${job.id} started${job.attempts > 1 ? ` (attempt ${job.attempts}, resuming)` : ''}`);
+    try {
+      const result = await transcodeVideo({
+        ...job.options,
+        // A job that already ran reuses the renditions it finished
+        resume: job.options.resume || job.attempts > 1,
+        signal,
+        onProgress: (update) => {
+          job.renditions[update.rendition] = { label: update.label, status: update.status, percent: update.percent, fps: update.fps, speed: update.speed };
+          this.scheduleSave();
+        }
+      });
+
+      job.status = 'complete';
+      // Published jobs only have the manifest URLs, their staging folder is gone
+      job.manifests = isS3Url(job.options.output) ? result.manifests : await findManifests(job.options.output);
+      this.logger.info(`✅ Job ${job.id} finished in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    } catch (error) {
+      if (this.stopping && !job.cancelRequested) {
+        job.status = 'queued';
+        this.logger.warn(`⚠️ Job ${job.id} interrupted, it will resume on the next start`);
+      } else if (job.cancelRequested) {
+        job.status = 'cancelled';
+        this.logger.info(`🛑 Job ${job.id} cancelled`);
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+        this.logger.error(`❌ Job ${job.id} failed: ${error.message}`);
+      }
+    }
+
+    if (job.status !== 'queued') {
+      job.finishedAt = new Date().toISOString();
+    }
+    await this.save();
+  }
+
+  // Progress updates arrive several times a second per rendition, so their saves are batched
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, PROGRESS_SAVE_INTERVAL);
+  }
+
+  // Saves are queued and written atomically
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      // Only the most recently finished jobs are kept
+      const finished = this.jobs
+        .filter(job => ['complete', 'failed', 'cancelled'].includes(job.status))
+        .sort((a, b) => (b.finishedAt || '').localeCompare(a.finishedAt || ''));
+      const pruned = new Set(finished.slice(QUEUE_HISTORY));
+      if (pruned.size > 0) {
+        this.jobs = this.jobs.filter(job => !pruned.has(job));
+      }
+
+      await fs.ensureDir(path.dirname(this.file));
+      const tempFile = `${this.file}.tmp`;
+      await fs.writeJson(tempFile, { version: QUEUE_VERSION, updatedAt: new Date().toISOString(), jobs: this.jobs }, { spaces: 2 });
+      await fs.rename(tempFile, this.file);
+    });
+    return this.saving;
+  }
+}
+
+module.exports = {
+  QUEUE_FILE,
+  JOB_STATUSES,
+  getJobProgress,
+  JobQueue
+};
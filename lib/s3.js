@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createLogger } = require('./logger');
+const { sanitizeFilename, ConcurrencyBudget } = require('./utils');
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+  '.vtt': 'text/vtt',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.json': 'application/json'
+};
+// Segment names only depend on the rendition, so a job re-run to the same prefix overwrites them
+// with new content; caches may keep a segment for an hour, playlists and manifests for seconds
+const MEDIA_CACHE_CONTROL = 'public, max-age=3600';
+const SHORT_CACHE_CONTROL = 'public, max-age=10';
+// Files that reference other files, uploaded after everything they point to
+const INDEX_FILE = /\.(m3u8|mpd)$|^thumbnails\.vtt$/;
+const ROOT_INDEX_FILES = ['master.m3u8', 'manifest.mpd'];
+// Working files of the transcoder that are not part of the published stream
+const PRIVATE_FILE = /^(transcode-state\.json|temp_source\..+)$/;
+const UPLOAD_CONCURRENCY = 4;
+const UPLOAD_RETRIES = 3;
+
+function isS3Url(value) {
+  return typeof value === 'string' && value.startsWith('s3://');
+}
+
+// s3://bucket/some/prefix -> { bucket: 'bucket', prefix: 'some/prefix' }
+function parseS3Url(url) {
+  const match = /^s3:\/\/([^/]+)\/?(.*)$/.exec(url);
+  if (!match) {
+    throw new Error(`Invalid S3 URL "${url}": expected s3://bucket/prefix`);
+  }
+  return { bucket: match[1], prefix: match[2].replace(/\/+$/, '') };
+}
+
+// Local folder the job is written to before it is published; the same URL always gets the
+// same folder so --resume finds the finished renditions
+function getStagingDir(url) {
+  const { bucket, prefix } = parseS3Url(url);
+  return path.join(os.tmpdir(), 'smart-hls-transcoder', sanitizeFilename(`${bucket}_${prefix}`));
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding of each path segment, as required for the canonical request
+function encodeKey(key) {
+  return key.split('/').map(part => encodeURIComponent(part).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)).join('/');
+}
+
+// Minimal S3 client signing requests with AWS Signature Version 4. Custom endpoints
+// (MinIO, Ceph, R2, ...) are addressed path-style, AWS itself virtual-hosted style.
+class S3Client {
+  constructor({ bucket, endpoint = null, region = 'us-east-1', accessKeyId, secretAccessKey, sessionToken = null }) {
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error('Missing S3 credentials: set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY');
+    }
+    this.bucket = bucket;
+    this.region = region;
+    this.credentials = { accessKeyId, secretAccessKey, sessionToken };
+    if (endpoint) {
+      this.baseUrl = `${endpoint.replace(/\/+$/, '')}/${bucket}`;
+    } else {
+      this.baseUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+    }
+  }
+
+  async request(method, key, body = Buffer.alloc(0), extraHeaders = {}) {
+    const url = new URL(`${this.baseUrl}/${encodeKey(key)}`);
+    const now = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = now.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const headers = {
+      ...extraHeaders,
+      host: url.host,
+      'x-amz-content-sha256': sha256(body),
+      'x-amz-date': now
+    };
+    if (this.credentials.sessionToken) {
+      headers['x-amz-security-token'] = this.credentials.sessionToken;
+    }
+
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      names.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+      names.join(';'),
+      headers['x-amz-content-sha256']
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', now, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${this.credentials.secretAccessKey}`, dateStamp), this.region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    headers.Authorization = `AWS4-HMAC-SHA256 Credential=${this.credentials.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`;
+    delete headers.host;
+
+    return axios({ method, url: url.toString(), headers, data: body, maxBodyLength: Infinity, maxContentLength: Infinity, timeout: 60000 });
+  }
+
+  // Fail early on a wrong bucket, endpoint or credentials instead of after the first encode
+  async checkAccess() {
+    try {
+      await this.request('HEAD', '');
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+      throw new Error(`Cannot access S3 bucket "${this.bucket}" at ${this.baseUrl}: ${reason}`);
+    }
+  }
+
+  async putObject(key, body, { contentType, cacheControl }) {
+    await this.request('PUT', key, body, { 'Content-Type': contentType, 'Cache-Control': cacheControl });
+  }
+}
+
+// Uploads a job's output folder to s3://bucket/prefix. While the job runs, segments are uploaded
+// as soon as a media playlist lists them (FFmpeg only adds a segment once it is closed). finish()
+// then uploads everything else, media playlists after their segments and the master playlist and
+// DASH manifest last, so a reader never finds a reference to a file that is not there yet.
+class S3Publisher {
+  constructor({ url, localDir, endpoint = null, region = null, poll = 2 }) {
+    const { bucket, prefix } = parseS3Url(url);
+    this.url = url;
+    this.prefix = prefix;
+    this.localDir = path.resolve(localDir);
+    this.poll = poll;
+    this.client = new S3Client({
+      bucket,
+      endpoint: endpoint || process.env.AWS_ENDPOINT_URL_S3 || process.env.AWS_ENDPOINT_URL || null,
+      region: region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1',
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: process.env.AWS_SESSION_TOKEN || null
+    });
+    this.logger = createLogger('s3');
+    this.budget = new ConcurrencyBudget(UPLOAD_CONCURRENCY);
+    this.uploaded = new Set();
+    this.timer = null;
+    this.scanning = Promise.resolve();
+    this.bytes = 0;
+  }
+
+  async start() {
+    await this.client.checkAccess();
+    this.logger.info(`☁️ Publishing to ${this.url} (staging in ${this.localDir})`);
+    this.timer = setInterval(() => {
+      this.scanning = this.scanning.then(() => this.uploadFinalizedSegments()).catch(error => {
+        this.logger.warn(`⚠️ Segment upload failed, retrying at the end of the job: ${error.message}`);
+      });
+    }, this.poll * 1000);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // s3:// URL of a file in the staging folder
+  getUrl(file) {
+    const relative = path.relative(this.localDir, file).split(path.sep).join('/');
+    return `${this.url.replace(/\/+$/, '')}/${relative}`;
+  }
+
+  getKey(file) {
+    const relative = path.relative(this.localDir, file).split(path.sep).join('/');
+    return this.prefix ? `${this.prefix}/${relative}` : relative;
+  }
+
+  // Segments (and fMP4 init segments) already listed in a media playlist
+  async uploadFinalizedSegments() {
+    if (!(await fs.pathExists(this.localDir))) return;
+    const playlists = (await fs.readdir(this.localDir)).filter(file => file.endsWith('.m3u8') && file !== 'master.m3u8');
+
+    const segments = new Set();
+    for (const playlist of playlists) {
+      const text = await fs.readFile(path.join(this.localDir, playlist), 'utf8');
+      text.split('\n').forEach(line => {
+        const trimmed = line.trim();
+        const map = /^#EXT-X-MAP:.*URI="([^"]+)"/.exec(trimmed);
+        if (map) {
+          segments.add(map[1]);
+        } else if (trimmed && !trimmed.startsWith('#')) {
+          segments.add(trimmed);
+        }
+      });
+    }
+
+    const pending = [...segments]
+      .filter(segment => !/^[a-z]+:\/\//i.test(segment))
+      .map(segment => path.join(this.localDir, segment))
+      .filter(file => !this.uploaded.has(file) && fs.existsSync(file));
+    await this.uploadFiles(pending);
+  }
+
+  // Upload everything that is left, in dependency order, and report what was published
+  async finish() {
+    this.stop();
+    await this.scanning;
+
+    const files = (await this.listFiles(this.localDir)).filter(file => !PRIVATE_FILE.test(path.relative(this.localDir, file)));
+    const name = file => path.relative(this.localDir, file);
+    const isIndex = file => INDEX_FILE.test(path.basename(file));
+    const isRootIndex = file => ROOT_INDEX_FILES.includes(name(file));
+
+    await this.uploadFiles(files.filter(file => !isIndex(file) && !this.uploaded.has(file)));
+    await this.uploadFiles(files.filter(file => isIndex(file) && !isRootIndex(file)));
+    await this.uploadFiles(files.filter(isRootIndex));
+
+    this.logger.info(`☁️ Published ${this.uploaded.size} files (${(this.bytes / 1024 / 1024).toFixed(1)} MB) to ${this.url}`);
+  }
+
+  async listFiles(folder) {
+    const entries = await fs.readdir(folder, { withFileTypes: true });
+    const files = await Promise.all(entries
+      .filter(entry => !entry.name.startsWith('.') && !entry.name.endsWith('.tmp'))
+      .map(entry => {
+        const file = path.join(folder, entry.name);
+        return entry.isDirectory() ? this.listFiles(file) : [file];
+      }));
+    return files.flat();
+  }
+
+  async uploadFiles(files) {
+    await Promise.all(files.map(async file => {
+      const release = await this.budget.acquire();
+      try {
+        await this.uploadFile(file);
+      } finally {
+        release();
+      }
+    }));
+  }
+
+  async uploadFile(file) {
+    const body = await fs.readFile(file);
+    const basename = path.basename(file);
+    const options = {
+      contentType: CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      cacheControl: INDEX_FILE.test(basename) || basename.endsWith('.json') ? SHORT_CACHE_CONTROL : MEDIA_CACHE_CONTROL
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.client.putObject(this.getKey(file), body, options);
+        break;
+      } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        const retryable = !error.response || error.response.status >= 500 || error.response.status === 429;
+        if (attempt > UPLOAD_RETRIES || !retryable) {
+          throw new Error(`Upload of ${this.getUrl(file)} failed: ${reason}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+      }
+    }
+    this.uploaded.add(file);
+    this.bytes += body.length;
+  }
+}
+
+module.exports = {
+  isS3Url,
+  parseS3Url,
+  getStagingDir,
+  S3Client,
+  S3Publisher
+};
@@ -0,0 +1,228 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const { createLogger } = require('./logger');
+const { isUrl } = require('./utils');
+
+// Protocols FFmpeg may open from a generated local manifest that points at the original presentation
+const MANIFEST_PROTOCOLS = 'file,http,https,tcp,tls,crypto,data';
+const ADAPTATION_SET = /<AdaptationSet\b[\s\S]*?<\/AdaptationSet>/g;
+const REPRESENTATION = /<Representation\b[^>]*?(?:\/>|>[\s\S]*?<\/Representation>)/g;
+
+// An HLS playlist or DASH manifest, going by the extension of the path
+function isManifestInput(input) {
+  const pathname = isUrl(input) ? new URL(input).pathname : input;
+  return /\.(m3u8|mpd)$/i.test(pathname);
+}
+
+// FFmpeg and FFprobe input options for reading the source where it is instead of a local copy
+function getInputOptions(input, { headers = {}, manifest = false } = {}) {
+  const options = [];
+  if (manifest) {
+    options.push('-protocol_whitelist', MANIFEST_PROTOCOLS);
+  }
+  if (isUrl(input)) {
+    // Reconnect instead of failing the encode when the origin drops the connection
+    options.push('-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '30');
+    const names = Object.keys(headers);
+    if (names.length > 0) {
+      options.push('-headers', names.map(name => `${name}: ${headers[name]}\r\n`).join(''));
+    }
+  }
+  return options;
+}
+
+// Resolve a playlist or manifest reference against the URL or file it appeared in
+function resolveReference(reference, base) {
+  if (isUrl(reference) || path.isAbsolute(reference)) return reference;
+  return isUrl(base) ? new URL(reference, base).toString() : path.resolve(path.dirname(base), reference);
+}
+
+async function readManifest(input, headers) {
+  if (!isUrl(input)) {
+    return fs.readFile(input, 'utf8');
+  }
+  try {
+    const response = await axios.get(input, { headers, responseType: 'text', timeout: 30000 });
+    return response.data;
+  } catch (error) {
+    throw new Error(`Cannot read ${input}: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+  }
+}
+
+// KEY=VALUE,KEY="quoted, value" attribute lists of HLS tags
+function parseHlsAttributes(line) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(line.slice(line.indexOf(':') + 1))) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+// Variants of an HLS master playlist, or null for a media playlist
+function parseHlsMaster(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const variants = [];
+  const media = [];
+  lines.forEach((line, i) => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const uri = lines.slice(i + 1).find(next => next && !next.startsWith('#'));
+      variants.push({ line, attributes: parseHlsAttributes(line), uri });
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      media.push({ line, attributes: parseHlsAttributes(line) });
+    }
+  });
+  return variants.length > 0 ? { lines, variants, media } : null;
+}
+
+// Largest picture first, then the highest bandwidth
+function compareVariants(a, b) {
+  return (b.width * b.height - a.width * a.height) || (b.bandwidth - a.bandwidth);
+}
+
+function selectHlsVariant(master) {
+  return master.variants
+    .map(variant => {
+      const [width, height] = (variant.attributes.RESOLUTION || '0x0').split('x').map(Number);
+      return { ...variant, width, height, bandwidth: Number(variant.attributes.BANDWIDTH) || 0 };
+    })
+    .sort(compareVariants)[0];
+}
+
+// Master playlist with only the chosen variant and its audio renditions, every URI made absolute
+function buildHlsSource(master, variant, audio, base) {
+  const withAbsoluteUri = line => line.replace(/URI="([^"]*)"/, (match, uri) => `URI="${resolveReference(uri, base)}"`);
+  return [
+    '#EXTM3U',
+    ...master.lines.filter(line => /^#EXT-X-(VERSION|INDEPENDENT-SEGMENTS)/.test(line)),
+    ...audio.map(rendition => withAbsoluteUri(rendition.line)),
+    // Subtitle and caption groups are not carried over
+    variant.line.replace(/,(SUBTITLES|CLOSED-CAPTIONS)=("[^"]*"|[^,]*)/g, ''),
+    resolveReference(variant.uri, base),
+    ''
+  ].join('\n');
+}
+
+function getXmlAttribute(tag, name) {
+  const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag.slice(0, tag.indexOf('>') + 1));
+  return match ? match[1] : null;
+}
+
+// video, audio or text, from the AdaptationSet or its first Representation
+function getAdaptationType(set) {
+  const representation = (set.match(REPRESENTATION) || [''])[0];
+  const type = getXmlAttribute(set, 'contentType') || getXmlAttribute(set, 'mimeType') || getXmlAttribute(representation, 'mimeType') || '';
+  return type.split('/')[0];
+}
+
+function keepRepresentation(set, chosen) {
+  return set.replace(REPRESENTATION, representation => (representation === chosen ? representation : ''));
+}
+
+// Keep the largest video Representation and the best Representation of every audio
+// AdaptationSet in each Period; text and other AdaptationSets are dropped
+function filterDashPeriod(period, selected) {
+  const sets = period.match(ADAPTATION_SET) || [];
+  const video = [];
+  sets.filter(set => getAdaptationType(set) === 'video').forEach(set => {
+    (set.match(REPRESENTATION) || []).forEach(representation => {
+      const attribute = name => Number(getXmlAttribute(representation, name) || getXmlAttribute(set, name)) || 0;
+      video.push({ set, representation, width: attribute('width'), height: attribute('height'), bandwidth: attribute('bandwidth') });
+    });
+  });
+  const best = video.sort(compareVariants)[0];
+  if (best) {
+    selected.push(best);
+  }
+
+  return period.replace(ADAPTATION_SET, set => {
+    const type = getAdaptationType(set);
+    if (type === 'video' && best && set === best.set) {
+      return keepRepresentation(set, best.representation);
+    }
+    if (type === 'audio') {
+      const audio = (set.match(REPRESENTATION) || [])
+        .sort((a, b) => Number(getXmlAttribute(b, 'bandwidth')) - Number(getXmlAttribute(a, 'bandwidth')))[0];
+      return keepRepresentation(set, audio);
+    }
+    return '';
+  });
+}
+
+// MPD with one video Representation, segment addresses resolved against the original location
+function buildDashSource(mpd, base) {
+  const selected = [];
+  let filtered = mpd.replace(/<Period\b[\s\S]*?<\/Period>/g, period => filterDashPeriod(period, selected));
+  if (selected.length === 0) {
+    throw new Error('The DASH manifest has no video Representation');
+  }
+
+  const baseUrl = resolveReference('./', base).replace(/\/?$/, '/');
+  const header = filtered.slice(0, filtered.search(/<Period\b/));
+  const mpdBase = /<BaseURL>([^<]*)<\/BaseURL>/.exec(header);
+  if (mpdBase) {
+    filtered = filtered.replace(mpdBase[0], `<BaseURL>${resolveReference(mpdBase[1], base)}</BaseURL>`);
+  } else {
+    filtered = filtered.replace(/<MPD\b[^>]*>/, tag => `${tag}\n  <BaseURL>${baseUrl}</BaseURL>`);
+  }
+  return { manifest: filtered, representation: selected[0] };
+}
+
+// Turn an HLS or DASH presentation into a single source for the ladder: the highest variant
+// with its audio. A muxed HLS variant is read straight from its media playlist; otherwise a
+// trimmed copy of the manifest is written to folder. Resolves with the input for FFmpeg,
+// its input options and the generated file (null when nothing was written).
+async function prepareIngest({ input, folder, headers = {} }) {
+  const ingestLogger = createLogger('ingest');
+  const text = await readManifest(input, headers);
+
+  if (/<MPD\b/.test(text)) {
+    const { manifest, representation } = buildDashSource(text, input);
+    ingestLogger.info(`📡 DASH source: using ${representation.width}x${representation.height} @ ${Math.round(representation.bandwidth / 1000)}k`);
+    return writeGeneratedManifest({ folder, extension: '.mpd', manifest, headers });
+  }
+  if (!text.trim().startsWith('#EXTM3U')) {
+    throw new Error(`${input} is neither an HLS playlist nor a DASH manifest`);
+  }
+
+  const master = parseHlsMaster(text);
+  if (!master) {
+    ingestLogger.info('📡 HLS media playlist, reading it directly');
+    return { inputFile: input, inputOptions: getInputOptions(input, { headers }), generatedFile: null };
+  }
+
+  const variant = selectHlsVariant(master);
+  const label = variant.height ? `${variant.width}x${variant.height}` : variant.uri;
+  ingestLogger.info(`📡 HLS source: using ${label} @ ${Math.round(variant.bandwidth / 1000)}k out of ${master.variants.length} variants`);
+
+  const audio = master.media.filter(rendition => rendition.attributes.TYPE === 'AUDIO' &&
+    rendition.attributes['GROUP-ID'] === variant.attributes.AUDIO && rendition.attributes.URI);
+  if (audio.length === 0) {
+    const variantUri = resolveReference(variant.uri, input);
+    return { inputFile: variantUri, inputOptions: getInputOptions(variantUri, { headers }), generatedFile: null };
+  }
+  ingestLogger.info(`🔊 Including ${audio.length} audio rendition${audio.length > 1 ? 's' : ''} from group "${variant.attributes.AUDIO}"`);
+  return writeGeneratedManifest({ folder, extension: '.m3u8', manifest: buildHlsSource(master, variant, audio, input), headers });
+}
+
+async function writeGeneratedManifest({ folder, extension, manifest, headers }) {
+  // FFmpeg only passes request headers on to nested requests of an HTTP input, not of a local file
+  if (Object.keys(headers).length > 0) {
+    throw new Error('Source headers cannot be used with DASH sources or HLS variants with separate audio, put the credentials in the URL instead');
+  }
+  await fs.ensureDir(folder);
+  const file = path.join(folder, `temp_source${extension}`);
+  await fs.writeFile(file, manifest);
+  return { inputFile: file, inputOptions: getInputOptions(file, { manifest: true }), generatedFile: file };
+}
+
+module.exports = {
+  isManifestInput,
+  getInputOptions,
+  parseHlsMaster,
+  selectHlsVariant,
+  buildDashSource,
+  prepareIngest
+};
@@ -0,0 +1,202 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { killOnAbort, throwIfCancelled } = require('./utils');
+
+// FFmpeg's MPEG-TS muxer shifts timestamps by 1.4s (90kHz clock), so cues are mapped to that origin
+const MPEGTS_TIMESTAMP_OFFSET = 126000;
+
+const SIDECAR_EXTENSIONS = ['.srt', '.vtt'];
+
+// Plan one subtitle rendition per embedded text track and sidecar file
+function planSubtitleRenditions(sourceInfo, sidecarFiles = []) {
+  const renditions = [];
+  const embeddedTracks = sourceInfo.subtitleTracks || [];
+
+  embeddedTracks.forEach(track => {
+    renditions.push({
+      source: { type: 'embedded', subtitleIndex: track.subtitleIndex },
+      name: track.title || (track.language !== 'und' ? track.language : `Subtitles ${renditions.length + 1}`),
+      language: track.language,
+      isDefault: track.isDefault,
+      isForced: track.isForced
+    });
+  });
+
+  sidecarFiles.forEach(file => {
+    const { language, isDefault, isForced } = parseSidecarName(file);
+    renditions.push({
+      source: { type: 'sidecar', file },
+      name: language !== 'und' ? language : path.basename(file),
+      language,
+      isDefault,
+      isForced
+    });
+  });
+
+  // Only one rendition in the group may be the default
+  const defaultRendition = renditions.find(r => r.isDefault);
+  return renditions.map((rendition, i) => ({
+    ...rendition,
+    isDefault: rendition === defaultRendition,
+    groupId: 'subs',
+    playlistName: `subs_${i}.m3u8`,
+    segmentPrefix: `subs_${i}`
+  }));
+}
+
+// Read language/default/forced markers from names such as "movie.en.forced.srt"
+function parseSidecarName(file) {
+  const parts = path.basename(file, path.extname(file)).split('.').slice(1).map(p => p.toLowerCase());
+  const language = parts.find(p => /^[a-z]{2,3}(-[a-z0-9]+)?$/.test(p) && p !== 'sdh') || 'und';
+
+  return {
+    language,
+    isDefault: parts.includes('default'),
+    isForced: parts.includes('forced')
+  };
+}
+
+// Check that a sidecar subtitle file exists and has a supported extension
+async function validateSidecarFile(file) {
+  if (!SIDECAR_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+    throw new Error(`Unsupported subtitle file: ${file} (expected ${SIDECAR_EXTENSIONS.join(' or ')})`);
+  }
+  if (!(await fs.pathExists(file))) {
+    throw new Error(`Subtitle file not found: ${file}`);
+  }
+}
+
+// Convert an embedded track or sidecar file to a single WebVTT document
+function convertToWebVtt(inputFile, inputOptions, rendition, vttPath, signal = null) {
+  return new Promise((resolve, reject) => {
+    const { source } = rendition;
+    const command = source.type === 'embedded'
+      ? ffmpeg(inputFile).inputOptions(inputOptions).outputOptions('-map', `0:s:${source.subtitleIndex}`)
+      : ffmpeg(source.file);
+
+    const detach = killOnAbort(signal, command);
+    command
+      .outputOptions('-c:s', 'webvtt', '-f', 'webvtt')
+      .on('end', () => {
+        detach();
+        resolve();
+      })
+      .on('error', (err) => {
+        detach();
+        reject(new Error(`Failed to convert subtitles: ${err.message}`));
+      })
+      .save(vttPath);
+  });
+}
+
+// Parse a WebVTT timestamp (hh:mm:ss.ttt or mm:ss.ttt) into seconds
+function parseTimestamp(timestamp) {
+  const parts = timestamp.trim().split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Parse the cues out of a WebVTT document, dropping NOTE/STYLE/REGION blocks
+function parseWebVtt(text) {
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.length > 0);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const [start, rest] = lines[timingIndex].split('-->');
+    const [end] = rest.trim().split(/\s+/);
+
+    cues.push({
+      start: parseTimestamp(start),
+      end: parseTimestamp(end),
+      // Keep the identifier, timing line (including cue settings) and payload as written
+      text: lines.join('\n')
+    });
+  });
+
+  return cues;
+}
+
+// Split cues into fixed-duration segments; a cue spanning a boundary is repeated in every segment it overlaps
+function segmentCues(cues, duration, segmentDuration) {
+  const totalDuration = duration || cues.reduce((max, cue) => Math.max(max, cue.end), 0);
+  const segmentCount = Math.max(1, Math.ceil(totalDuration / segmentDuration));
+  const segments = [];
+
+  for (let i = 0; i < segmentCount; i++) {
+    const start = i * segmentDuration;
+    const end = Math.min(start + segmentDuration, Math.max(totalDuration, start + 0.001));
+    segments.push({
+      duration: end - start,
+      cues: cues.filter(cue => cue.start < end && cue.end > start)
+    });
+  }
+
+  return segments;
+}
+
+// Write the segmented WebVTT files and the media playlist for one subtitle rendition
+async function writeSubtitleSegments(rendition, segments, output, timestampOffset = MPEGTS_TIMESTAMP_OFFSET) {
+  const header = `WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:${timestampOffset},LOCAL:00:00:00.000\n\n`;
+  const targetDuration = Math.ceil(Math.max(...segments.map(s => s.duration)));
+
+  let playlist = '#EXTM3U\n';
+  playlist += '#EXT-X-VERSION:3\n';
+  playlist += `#EXT-X-TARGETDURATION:${targetDuration}\n`;
+  playlist += '#EXT-X-MEDIA-SEQUENCE:0\n';
+  playlist += '#EXT-X-PLAYLIST-TYPE:VOD\n';
+
+  for (let i = 0; i < segments.length; i++) {
+    const segmentName = `${rendition.segmentPrefix}_${String(i).padStart(3, '0')}.vtt`;
+    const body = segments[i].cues.map(cue => cue.text).join('\n\n');
+    await fs.writeFile(path.join(output, segmentName), header + (body ? `${body}\n` : ''));
+
+    playlist += `#EXTINF:${segments[i].duration.toFixed(6)},\n${segmentName}\n`;
+  }
+
+  playlist += '#EXT-X-ENDLIST\n';
+  await fs.writeFile(path.join(output, rendition.playlistName), playlist);
+}
+
+// Convert and segment every subtitle rendition
+async function processSubtitleRenditions(options) {
+  const { subtitleRenditions, inputFile, inputOptions = [], output, duration, segmentDuration, timestampOffset = MPEGTS_TIMESTAMP_OFFSET, keepFullFile = false, signal = null } = options;
+  const subtitleLogger = createLogger('subtitles');
+
+  subtitleLogger.info(`💬 Generating ${subtitleRenditions.length} subtitle renditions`);
+
+  for (const rendition of subtitleRenditions) {
+    const vttPath = path.join(output, `${rendition.segmentPrefix}.full.vtt`);
+    try {
+      throwIfCancelled(signal);
+      await convertToWebVtt(inputFile, inputOptions, rendition, vttPath, signal);
+      const cues = parseWebVtt(await fs.readFile(vttPath, 'utf8'));
+      const segments = segmentCues(cues, duration, segmentDuration);
+      await writeSubtitleSegments(rendition, segments, output, timestampOffset);
+      subtitleLogger.info(`✅ ${rendition.name}: ${cues.length} cues in ${segments.length} segments`);
+
+      // DASH references the whole WebVTT document rather than HLS segments
+      if (keepFullFile) {
+        rendition.vttFile = `${rendition.segmentPrefix}.vtt`;
+        await fs.move(vttPath, path.join(output, rendition.vttFile), { overwrite: true });
+      }
+    } finally {
+      await fs.remove(vttPath);
+    }
+  }
+
+  return subtitleRenditions;
+}
+
+module.exports = {
+  MPEGTS_TIMESTAMP_OFFSET,
+  planSubtitleRenditions,
+  validateSidecarFile,
+  parseWebVtt,
+  segmentCues,
+  processSubtitleRenditions
+};
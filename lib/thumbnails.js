@@ -0,0 +1,133 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { killOnAbort, throwIfCancelled } = require('./utils');
+
+const THUMBNAIL_FORMATS = ['jpg', 'webp'];
+
+// Format seconds as a WebVTT timestamp (hh:mm:ss.ttt)
+function formatVttTimestamp(seconds) {
+  const totalMilliseconds = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMilliseconds / 3600000);
+  const minutes = Math.floor(totalMilliseconds / 60000) % 60;
+  const secs = Math.floor(totalMilliseconds / 1000) % 60;
+  const milliseconds = totalMilliseconds % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(milliseconds, 3)}`;
+}
+
+// Work out thumbnail size, count and sprite sheet layout for a source
+function planThumbnails(sourceInfo, { interval = 10, columns = 5, rows = 5, width = 160, format = 'jpg' } = {}) {
+  const aspectRatio = sourceInfo.width && sourceInfo.height ? sourceInfo.width / sourceInfo.height : 16 / 9;
+  // Even dimensions keep every encoder happy
+  const thumbWidth = Math.round(width / 2) * 2;
+  const thumbHeight = Math.round(thumbWidth / aspectRatio / 2) * 2;
+  const count = Math.max(1, Math.ceil(sourceInfo.duration / interval));
+  const perSheet = columns * rows;
+
+  return {
+    interval,
+    columns,
+    rows,
+    format,
+    width: thumbWidth,
+    height: thumbHeight,
+    count,
+    sheetCount: Math.ceil(count / perSheet),
+    duration: sourceInfo.duration
+  };
+}
+
+// Sprite sheet file name for a zero-based sheet index (FFmpeg numbers images from 1)
+function getSheetName(plan, sheetIndex) {
+  return `thumbnails_${String(sheetIndex + 1).padStart(3, '0')}.${plan.format}`;
+}
+
+// Build thumbnails.vtt: one cue per sampled frame pointing at its tile with #xywh=
+function buildThumbnailVtt(plan) {
+  const perSheet = plan.columns * plan.rows;
+  let vtt = 'WEBVTT\n\n';
+
+  for (let i = 0; i < plan.count; i++) {
+    const start = i * plan.interval;
+    const end = Math.min((i + 1) * plan.interval, plan.duration);
+    const tile = i % perSheet;
+    const x = (tile % plan.columns) * plan.width;
+    const y = Math.floor(tile / plan.columns) * plan.height;
+
+    vtt += `${formatVttTimestamp(start)} --> ${formatVttTimestamp(end)}\n`;
+    vtt += `${getSheetName(plan, Math.floor(i / perSheet))}#xywh=${x},${y},${plan.width},${plan.height}\n\n`;
+  }
+
+  return vtt;
+}
+
+// Encoder arguments for the sprite sheet images
+function getImageOptions(format) {
+  if (format === 'webp') {
+    return ['-c:v', 'libwebp', '-quality', '75'];
+  }
+  return ['-q:v', '5'];
+}
+
+// Sample one frame every interval seconds and tile the frames into sprite sheets
+function renderSpriteSheets(inputFile, inputOptions, output, plan, signal = null) {
+  return new Promise((resolve, reject) => {
+    const filter = [
+      `fps=1/${plan.interval}`,
+      `scale=${plan.width}:${plan.height}`,
+      `tile=${plan.columns}x${plan.rows}`
+    ].join(',');
+
+    const command = ffmpeg(inputFile);
+    const detach = killOnAbort(signal, command);
+    command
+      .inputOptions(inputOptions)
+      .outputOptions(
+        '-map', '0:v:0',
+        '-an',
+        '-vf', filter,
+        ...getImageOptions(plan.format)
+      )
+      .on('end', () => {
+        detach();
+        resolve();
+      })
+      .on('error', (err) => {
+        detach();
+        reject(new Error(`Failed to generate thumbnails: ${err.message}`));
+      })
+      .save(path.join(output, `thumbnails_%03d.${plan.format}`));
+  });
+}
+
+// Generate sprite sheets and thumbnails.vtt in the output folder
+async function generateThumbnails({ inputFile, inputOptions = [], output, sourceInfo, signal = null, ...options }) {
+  const thumbnailLogger = createLogger('thumbnails');
+
+  if (!sourceInfo.duration) {
+    thumbnailLogger.warn('⚠️ Source duration is unknown, skipping thumbnails');
+    return null;
+  }
+
+  const plan = planThumbnails(sourceInfo, options);
+  const startTime = Date.now();
+  thumbnailLogger.info(`🖼️ Generating ${plan.count} thumbnails (${plan.width}x${plan.height}, every ${plan.interval}s) in ${plan.sheetCount} ${plan.columns}x${plan.rows} sprite sheets`);
+
+  throwIfCancelled(signal);
+  await renderSpriteSheets(inputFile, inputOptions, output, plan, signal);
+
+  const vttPath = path.join(output, 'thumbnails.vtt');
+  await fs.writeFile(vttPath, buildThumbnailVtt(plan));
+  thumbnailLogger.info(`✅ Thumbnails written to ${vttPath} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+
+  return { ...plan, vttFile: 'thumbnails.vtt' };
+}
+
+module.exports = {
+  THUMBNAIL_FORMATS,
+  planThumbnails,
+  buildThumbnailVtt,
+  generateThumbnails
+};
@@ -0,0 +1,107 @@
+// Library entry point. A Transcoder logs nothing to the console unless it is created with
+// consoleLogging: true; other users of the logger are not affected.
+const EventEmitter = require('events');
+const { transcodeVideo } = require('./transcoder');
+const { validateOptions, validateCombination, resolveOptions } = require('./config');
+const { setConsoleLogging, withConsoleLogging, withoutConsoleScope } = require('./logger');
+const { runBatch } = require('./batch');
+const { LiveTranscoder } = require('./live');
+const { ProgressTracker, formatProgressLine } = require('./progress');
+const { signPayload } = require('./webhook');
+
+// One transcoding job with typed events:
+//   download            { downloaded, total, percent } while a URL input is downloaded
+//   analysis            source information from FFprobe (or the fallback defaults)
+//   plan                renditions, audio and subtitles that will be produced
+//   rendition:start     { rendition, label, status, percent, fps, speed } when a rendition's encode starts
+//   rendition:progress  the same, as the encode advances (percent is null when the duration is unknown)
+//   rendition:end       the same once the rendition is verified; resumed: true for renditions from an earlier run
+//   gpu                 { usage } GPU utilisation in percent, with showGpuUsage
+//   done                the result of run()
+//   cancelled           run() was stopped by cancel() or the AbortSignal
+//   error               run() failed (only emitted when someone listens, run() rejects either way)
+class Transcoder extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const { signal = null, consoleLogging = false, ...jobOptions } = options;
+
+    validateOptions(jobOptions, null, 'options');
+    const missing = ['input', 'output'].find(key => !jobOptions[key]);
+    if (missing) {
+      throw new Error(`Missing "${missing}"`);
+    }
+    if (jobOptions.batch || jobOptions.batchConcurrency) {
+      throw new Error('Batch options are not supported by Transcoder, use runBatch');
+    }
+    validateCombination(jobOptions);
+
+    this.options = jobOptions;
+    this.consoleLogging = consoleLogging;
+    this.controller = new AbortController();
+    this.running = false;
+
+    if (signal) {
+      if (signal.aborted) {
+        this.cancel();
+      } else {
+        signal.addEventListener('abort', () => this.cancel(), { once: true });
+      }
+    }
+  }
+
+  // Listeners log as the embedding code does, not with this job's console setting
+  emit(...args) {
+    return withoutConsoleScope(() => super.emit(...args));
+  }
+
+  get cancelled() {
+    return this.controller.signal.aborted;
+  }
+
+  // Analyse the source and work out the renditions without encoding or writing anything
+  async plan() {
+    const result = await withConsoleLogging(this.consoleLogging, () => transcodeVideo({ ...this.options, dryRun: true, signal: this.controller.signal, events: this }));
+    return result.plan;
+  }
+
+  // Encode everything; resolves with { output, dryRun, duration, plan, variants, manifests }
+  async run() {
+    if (this.running) {
+      throw new Error('This transcoder is already running');
+    }
+    this.running = true;
+
+    try {
+      const result = await withConsoleLogging(this.consoleLogging, () => transcodeVideo({ ...this.options, signal: this.controller.signal, events: this }));
+      this.emit('done', result);
+      return result;
+    } catch (error) {
+      if (this.cancelled) {
+        this.emit('cancelled');
+      } else if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Kill the running encodes; run() then rejects with "Transcoding cancelled"
+  cancel() {
+    this.controller.abort();
+  }
+}
+
+module.exports = {
+  Transcoder,
+  transcodeVideo,
+  runBatch,
+  LiveTranscoder,
+  resolveOptions,
+  ProgressTracker,
+  formatProgressLine,
+  signPayload,
+  setConsoleLogging,
+  withConsoleLogging
+};
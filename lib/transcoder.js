@@ -3,9 +3,25 @@ const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
-const { analyzeSource, getOptimalQualities } = require('./analyzer');
-const { downloadFile, isUrl, getGOPSize } = require('./utils');
+const { analyzeSource, getOptimalQualities, analyzePerTitle } = require('./analyzer');
+const { isUrl, getGOPSize, getDirectorySize, killOnAbort, throwIfCancelled } = require('./utils');
+const { downloadFile, verifyChecksum } = require('./download');
+const { isManifestInput, getInputOptions, prepareIngest } = require('./source');
 const { logger, createLogger, log } = require('./logger');
+const { buildMasterPlaylist } = require('./playlist');
+const { MPEGTS_TIMESTAMP_OFFSET, planSubtitleRenditions, validateSidecarFile, processSubtitleRenditions } = require('./subtitles');
+const { writeDashManifest } = require('./dash');
+const { measureRenditions } = require('./measure');
+const { KeyStore, validateKeyDir, getEncryptionOptions, getPlaylistFile } = require('./encryption');
+const { writeIframePlaylists } = require('./iframes');
+const { THUMBNAIL_FORMATS, planThumbnails, generateThumbnails } = require('./thumbnails');
+const { fingerprintSource, JobState } = require('./checkpoint');
+const { VIDEO_CODECS, getVideoCodecString } = require('./codecs');
+const { validateLadder, selectLadderRungs, describeRung } = require('./ladder');
+const { checkMetricAvailable } = require('./metrics');
+const { REPORT_FILE, resolveThresholds, writeQualityReport } = require('./quality');
+const { WebhookClient } = require('./webhook');
+const { isS3Url, getStagingDir, S3Publisher } = require('./s3');
 
 // Simplified GPU detection
 function detectGpuInfo() {
@@ -104,6 +120,7 @@ function getGpuOptions(gpuType, sourceInfo) {
     'nvidia': {
       decoder: '-c:v h264_cuvid',
       encoder: 'h264_nvenc',
+      codecEncoders: { hevc: 'hevc_nvenc', av1: 'av1_nvenc' },
       preset: 'p4',
       tune: 'hq',
       profile: 'high',
@@ -113,18 +130,21 @@ function getGpuOptions(gpuType, sourceInfo) {
     'intel': {
       decoder: '-c:v h264_qsv',
       encoder: 'h264_qsv',
+      codecEncoders: { hevc: 'hevc_qsv', av1: 'av1_qsv', vp9: 'vp9_qsv' },
       preset: 'medium',
       options: ['-look_ahead', '1', '-extbrc', '1']
     },
     'amd': {
       decoder: '-c:v h264_cuvid',
       encoder: 'h264_amf',
+      codecEncoders: { hevc: 'hevc_amf', av1: 'av1_amf' },
       preset: 'quality',
       options: ['-quality', 'quality']
     },
     'apple': {
       decoder: '',
       encoder: 'h264_videotoolbox',
+      codecEncoders: { hevc: 'hevc_videotoolbox' },
       preset: 'medium',
       options: []
     }
@@ -142,14 +162,54 @@ function getGpuOptions(gpuType, sourceInfo) {
   return options;
 }
 
-// Monitor GPU usage
+// Hardware encoder for a codec, or null when the GPU cannot encode it (the CPU encoder is used instead)
+function getGpuEncoder(gpuConfig, codec = 'h264') {
+  if (codec === 'h264') {
+    return gpuConfig.encoder;
+  }
+  return (gpuConfig.codecEncoders && gpuConfig.codecEncoders[codec]) || null;
+}
+
+// Map x264-style preset names onto the speed controls of the other CPU encoders
+const ENCODER_SPEEDS = {
+  ultrafast: { svtav1: 13, aom: 8, vpx: 5 },
+  superfast: { svtav1: 12, aom: 8, vpx: 5 },
+  veryfast: { svtav1: 11, aom: 7, vpx: 4 },
+  faster: { svtav1: 10, aom: 6, vpx: 4 },
+  fast: { svtav1: 9, aom: 5, vpx: 3 },
+  medium: { svtav1: 8, aom: 4, vpx: 2 },
+  slow: { svtav1: 6, aom: 3, vpx: 1 },
+  slower: { svtav1: 4, aom: 2, vpx: 1 },
+  veryslow: { svtav1: 2, aom: 1, vpx: 0 }
+};
+
+// Pick the first CPU encoder for a codec that this FFmpeg build provides
+function resolveCpuEncoder(codec) {
+  const candidates = VIDEO_CODECS[codec].encoders;
+  if (candidates.length === 1) {
+    return Promise.resolve(candidates[0]);
+  }
+
+  return new Promise((resolve) => {
+    ffmpeg.getAvailableEncoders((err, encoders) => {
+      if (err) {
+        log.debug(`Encoder detection failed: ${err.message}`);
+        resolve(candidates[0]);
+        return;
+      }
+      resolve(candidates.find(name => encoders[name]) || candidates[0]);
+    });
+  });
+}
+
+// Monitor GPU usage; every reading goes to onUsage and the average is logged on stop()
 class GpuMonitor {
-  constructor(gpuType, interval = 1000) {
+  constructor(gpuType, { interval = 1000, onUsage = null } = {}) {
     this.gpuType = gpuType;
     this.interval = interval;
+    this.onUsage = onUsage;
     this.monitoring = false;
     this.usageData = [];
-    this.displayLine = '';
   }
 
   start() {
@@ -160,9 +220,9 @@ class GpuMonitor {
     
     this.monitorInterval = setInterval(() => {
       this.getGpuUsage().then(usage => {
-        if (usage !== null) {
+        if (usage !== null && this.monitoring) {
           this.usageData.push(usage);
-          this.updateDisplay(usage);
+          if (this.onUsage) this.onUsage(usage);
         }
       }).catch(() => {
         // Silently ignore errors
@@ -170,30 +230,12 @@ class GpuMonitor {
     }, this.interval);
   }
 
-  updateDisplay(usage) {
-    const newLine = `📊 System GPU Usage: ${usage}%`;
-    
-    // Clear previous line if it exists
-    if (this.displayLine) {
-      process.stdout.write('\r' + ' '.repeat(this.displayLine.length) + '\r');
-    }
-    
-    // Write new line
-    process.stdout.write(newLine);
-    this.displayLine = newLine;
-  }
-
   stop() {
     if (this.monitorInterval) {
       clearInterval(this.monitorInterval);
+      this.monitorInterval = null;
       this.monitoring = false;
       
-      // Clear the GPU usage line
-      if (this.displayLine) {
-        process.stdout.write('\r' + ' '.repeat(this.displayLine.length) + '\r');
-        this.displayLine = '';
-      }
-      
       if (this.usageData.length > 0) {
         const avgUsage = (this.usageData.reduce((a, b) => a + b, 0) / this.usageData.length).toFixed(1);
         log.info(`📈 Average GPU Usage: ${avgUsage}%`);
@@ -254,7 +296,10 @@ function getResolutionPresetLocal(targetHeight, sourceAspectRatio = 16/9) {
 }
 
 // Local bitrate calculation function
-function calculateOptimizedBitrateLocal(targetHeight, sourceBitrate, sourceHeight, bandwidthRatio = 1.0) {
+function calculateOptimizedBitrateLocal(targetHeight, sourceBitrate, sourceHeight, bandwidthRatio = 1.0, codec = 'h264') {
+  // Newer codecs reach the same quality at a fraction of the H.264 bitrate
+  const efficiency = VIDEO_CODECS[codec].efficiency;
+
   // If we don't have source information, use reasonable defaults
   if (!sourceBitrate || !sourceHeight) {
     // Calculate base bitrate using empirical formula: ~50 kbps per 720p equivalent
@@ -273,7 +318,7 @@ function calculateOptimizedBitrateLocal(targetHeight, sourceBitrate, sourceHeigh
                       500;                            // Below 280p
     
     const finalBitrate = Math.max(minBitrate, Math.min(maxBitrate, adjustedBitrate));
-    return Math.round(finalBitrate);
+    return Math.round(finalBitrate * efficiency);
   }
 
   // Calculate bitrate based on source characteristics using quadratic scaling
@@ -325,13 +370,13 @@ function calculateOptimizedBitrateLocal(targetHeight, sourceBitrate, sourceHeigh
                     sourceBitrate * 1.2;                        // Below 400p
   
   const clampedBitrate = Math.max(minBitrate, Math.min(maxBitrate, adjustedBitrate));
-  const finalBitrate = Math.round(clampedBitrate);
+  const finalBitrate = Math.round(clampedBitrate * efficiency);
   
   return finalBitrate;
 }
 
 // Local CRF calculation function
-function getOptimalCRFLocal(targetHeight, sourceQuality, crfOffset = 0) {
+function getOptimalCRFLocal(targetHeight, sourceQuality, crfOffset = 0, codec = 'h264') {
   const BITRATE_PRESETS = {
     crfValues: {
       veryHigh: 16,
@@ -393,7 +438,10 @@ function getOptimalCRFLocal(targetHeight, sourceQuality, crfOffset = 0) {
   baseCRF += crfOffset;
   
   // Clamp to valid range (10-40 is safe range for most encoders)
-  const finalCRF = Math.max(10, Math.min(40, Math.round(baseCRF)));
+  const clampedCRF = Math.max(10, Math.min(40, Math.round(baseCRF)));
+  
+  // Translate from the x264 scale to the target encoder's CRF scale
+  const finalCRF = clampedCRF + VIDEO_CODECS[codec].crfOffset;
   
   return finalCRF;
 }
@@ -401,29 +449,86 @@ function getOptimalCRFLocal(targetHeight, sourceQuality, crfOffset = 0) {
 async function transcodeVideo(options) {
   const { 
     input, 
-    output, 
+    output: outputOption, 
     bandwidthRatio = 1.0, 
     segmentDuration = 6, 
     segmentSize = null,
+    segmentFormat = 'ts',
     preset = 'medium', 
     crfOffset = 0, 
     minQuality = 360, 
+    ladder: ladderOption = null,
+    perTitle = false,
+    perTitleMetric = 'vmaf',
+    perTitleTarget = null,
     skipAnalysis = false,
     sequential = false,
+    singleDecode = false,
     maxConcurrent = null,
+    separateAudio: separateAudioOption = false,
+    audioBitrates = [128],
+    subtitles = [],
+    formats = ['hls'],
+    codecs = ['h264'],
+    encrypt = false,
+    keyUri = '{key}',
+    keyDir = null,
+    keyIv = null,
+    keyRotation = 0,
+    iframePlaylists = false,
+    thumbnails = false,
+    thumbnailInterval = 10,
+    thumbnailColumns = 5,
+    thumbnailRows = 5,
+    thumbnailWidth = 160,
+    thumbnailFormat = 'jpg',
+    measureQuality = false,
+    qualityThresholds = {},
+    resume = false,
     useGpu = false,
     gpuType = 'auto',
     showGpuUsage = false,
-    dryRun = false
+    webhook = null,
+    webhookSecret = process.env.TRANSCODE_WEBHOOK_SECRET || null,
+    webhookRetries = 5,
+    s3Endpoint = null,
+    s3Region = null,
+    sourceHeaders = {},
+    sourceChecksum = null,
+    streamInput = false,
+    ingest = false,
+    dryRun = false,
+    // Optional ConcurrencyBudget shared with other jobs (batch mode)
+    budget = null,
+    // Optional AbortSignal; aborting kills the running encodes and fails the job
+    signal = null,
+    // Optional callback receiving { rendition, label, status, percent, fps, speed } updates
+    onProgress: onProgressOption = null,
+    // Optional EventEmitter receiving download, analysis, plan and rendition:* events
+    events = null
   } = options;
+  const onProgress = createProgressHandler(onProgressOption, events);
   
   const transcodeLogger = createLogger('transcoder');
   const startTime = Date.now();
+  // S3 outputs are written to a local staging folder and published from there
+  const publishTo = isS3Url(outputOption) ? outputOption : null;
+  const output = publishTo ? getStagingDir(publishTo) : outputOption;
+  let publisher = null;
+  let gpuMonitor = null;
+  // A dry run produces nothing, so there is nothing to announce
+  const webhookClient = webhook && !dryRun ? new WebhookClient({ url: webhook, secret: webhookSecret, retries: webhookRetries }) : null;
+  const jobInfo = { input: isUrl(input) ? input : path.resolve(input), output: publishTo || path.resolve(output) };
   
   try {
+    throwIfCancelled(signal);
+    if (webhookClient) {
+      // Not awaited, the encode does not wait for the receiver
+      webhookClient.send('job.started', jobInfo);
+    }
     transcodeLogger.info(`🎬 Smart HLS Transcoding Started`);
     transcodeLogger.info(`📥 Input: ${input}`);
-    transcodeLogger.info(`📤 Output: ${path.resolve(output)}`);
+    transcodeLogger.info(`📤 Output: ${publishTo || path.resolve(output)}`);
     
     if (dryRun) {
       transcodeLogger.info('📋 DRY RUN MODE - No actual transcoding will occur');
@@ -434,6 +539,91 @@ async function transcodeVideo(options) {
     } else {
       transcodeLogger.info(`⏱️ Segment Duration: ${segmentDuration} seconds`);
     }
+    transcodeLogger.info(`📦 Segment Format: ${segmentFormat === 'fmp4' ? 'fMP4 (CMAF)' : 'MPEG-TS'}`);
+
+    // DASH shares the HLS media segments, which is only possible with CMAF
+    const writeDash = formats.includes('dash');
+    if (writeDash && segmentFormat !== 'fmp4') {
+      throw new Error('DASH output requires fMP4 segments (segmentFormat: \'fmp4\')');
+    }
+    transcodeLogger.info(`🗂️ Manifests: ${formats.map(f => f.toUpperCase()).join(', ')}`);
+
+    // HEVC, AV1 and VP9 can only be delivered to HLS players in fMP4 segments
+    const unknownCodec = codecs.find(codec => !VIDEO_CODECS[codec]);
+    if (unknownCodec) {
+      throw new Error(`Unsupported codec: ${unknownCodec}`);
+    }
+    if (codecs.some(codec => codec !== 'h264') && segmentFormat !== 'fmp4') {
+      throw new Error('HEVC, AV1 and VP9 ladders require fMP4 segments (segmentFormat: \'fmp4\')');
+    }
+    transcodeLogger.info(`🎞️ Codecs: ${codecs.map(codec => VIDEO_CODECS[codec].name).join(', ')}`);
+
+    // DASH needs audio in its own AdaptationSets, so audio cannot stay muxed into the video
+    const separateAudio = separateAudioOption || writeDash;
+    if (writeDash && !separateAudioOption) {
+      transcodeLogger.info('🔊 DASH output enabled, encoding audio as separate renditions');
+    }
+
+    // AES-128 keys live outside the public output directory and are fetched from keyUri
+    let encryption = null;
+    if (encrypt) {
+      if (segmentFormat !== 'ts') {
+        throw new Error('AES-128 encryption requires MPEG-TS segments (segmentFormat: \'ts\')');
+      }
+      // Size-based segments are byte ranges of shared files, not files of their own
+      if (segmentSize) {
+        throw new Error('AES-128 encryption cannot be combined with segmentSize, use segmentDuration');
+      }
+      const resolvedKeyDir = keyDir || `${path.resolve(output)}-keys`;
+      validateKeyDir(resolvedKeyDir, output);
+      encryption = new KeyStore({ keyDir: resolvedKeyDir, keyUri, keyIv, rotation: keyRotation, reuseKeys: resume });
+
+      transcodeLogger.info(`🔐 Encryption: AES-128${keyRotation > 0 ? `, new key every ${keyRotation} segments` : ''}`);
+      transcodeLogger.info(`   Keys: ${path.resolve(resolvedKeyDir)} (URI: ${keyUri})`);
+      if (!/^[a-z]+:\/\//i.test(keyUri)) {
+        transcodeLogger.warn('⚠️ Key URI is relative, make sure your key server serves the key files at that path');
+      }
+    }
+
+    // I-frame playlists point into the segments, which cannot be parsed once they are encrypted
+    if (iframePlaylists && encrypt) {
+      throw new Error('I-frame playlists cannot be combined with encryption');
+    }
+    if (iframePlaylists && !formats.includes('hls')) {
+      throw new Error('I-frame playlists require HLS output');
+    }
+
+    // A user-defined ladder replaces the built-in quality table (and minQuality)
+    if (ladderOption) {
+      validateLadder(ladderOption);
+      transcodeLogger.info(`🪜 Custom ladder: ${ladderOption.length} rungs`);
+    }
+
+    // Per-title encoding builds the ladder from sample encodes of the source
+    if (perTitle) {
+      if (ladderOption) {
+        throw new Error('Per-title encoding cannot be combined with a custom ladder');
+      }
+      if (skipAnalysis) {
+        throw new Error('Per-title encoding requires source analysis');
+      }
+      await checkMetricAvailable(perTitleMetric);
+      transcodeLogger.info(`📈 Per-title encoding: ${perTitleMetric.toUpperCase()}${perTitleTarget !== null ? ` target ${perTitleTarget}` : ''}`);
+    }
+
+    // The quality report decodes the written segments, which is not possible once they are encrypted
+    if (measureQuality) {
+      if (encrypt) {
+        throw new Error('Quality measurement cannot be combined with encryption');
+      }
+      const thresholds = resolveThresholds(qualityThresholds);
+      transcodeLogger.info(`🔬 Quality report: SSIM, PSNR and VMAF (if available), flagging below ${Object.keys(thresholds).map(metric => `${metric} ${thresholds[metric]}`).join(', ')}`);
+    }
+
+    if (thumbnails && !THUMBNAIL_FORMATS.includes(thumbnailFormat)) {
+      throw new Error(`Unsupported thumbnail format: ${thumbnailFormat} (expected ${THUMBNAIL_FORMATS.join(' or ')})`);
+    }
+    const thumbnailOptions = { interval: thumbnailInterval, columns: thumbnailColumns, rows: thumbnailRows, width: thumbnailWidth, format: thumbnailFormat };
     
     if (useGpu) {
       transcodeLogger.info(`🎮 GPU Acceleration: ENABLED`);
@@ -445,7 +635,9 @@ async function transcodeVideo(options) {
       transcodeLogger.info(`📊 GPU Usage Monitoring: ENABLED`);
     }
     
-    if (sequential) {
+    if (singleDecode) {
+      transcodeLogger.info(`🧬 Processing mode: Single decode (one ffmpeg process for all qualities)`);
+    } else if (sequential) {
       transcodeLogger.info(`🔄 Processing mode: Sequential (one quality at a time)`);
     } else if (maxConcurrent) {
       transcodeLogger.info(`⚡ Processing mode: Parallel (max ${maxConcurrent} concurrent)`);
@@ -453,35 +645,70 @@ async function transcodeVideo(options) {
       transcodeLogger.info(`⚡ Processing mode: Parallel (unlimited)`);
     }
 
-    // Ensure output directory exists
-    await fs.ensureDir(output);
-    transcodeLogger.info(`📂 Output directory ensured: ${path.resolve(output)}`);
-    
-    // Verify directory is writable
-    try {
-      const testFile = path.join(output, 'test_write.tmp');
-      await fs.writeFile(testFile, 'test');
-      await fs.remove(testFile);
-      transcodeLogger.info('✅ Output directory is writable');
-    } catch (writeError) {
-      transcodeLogger.error(`❌ Cannot write to output directory: ${writeError.message}`);
-      throw new Error(`Output directory is not writable: ${output}`);
+    // Ensure output directory exists (a dry run leaves the file system alone)
+    if (!dryRun) {
+      await fs.ensureDir(output);
+      transcodeLogger.info(`📂 Output directory ensured: ${path.resolve(output)}`);
+
+      // Verify directory is writable
+      try {
+        const testFile = path.join(output, 'test_write.tmp');
+        await fs.writeFile(testFile, 'test');
+        await fs.remove(testFile);
+        transcodeLogger.info('✅ Output directory is writable');
+      } catch (writeError) {
+        transcodeLogger.error(`❌ Cannot write to output directory: ${writeError.message}`);
+        throw new Error(`Output directory is not writable: ${output}`);
+      }
+
+      if (publishTo) {
+        publisher = new S3Publisher({ url: publishTo, localDir: output, endpoint: s3Endpoint, region: s3Region });
+        await publisher.start();
+      }
+    } else if (publishTo) {
+      transcodeLogger.info(`☁️ Would publish to ${publishTo} from ${path.resolve(output)}`);
     }
 
     let inputFile = input;
+    let inputOptions = [];
     let needsCleanup = false;
-    
-    // Download file if it's a URL
-    if (isUrl(input)) {
+    // Streamed sources are read where they are, so there is no local file to fingerprint or verify
+    const ingestSource = ingest || isManifestInput(input);
+    const streamed = ingestSource || (streamInput && isUrl(input));
+    let dryRunFolder = null;
+    if (streamed && (perTitle || measureQuality || sourceChecksum)) {
+      throw new Error('Per-title encoding, quality measurement and source checksums need a downloaded source, they cannot be used with streamed or ingested inputs');
+    }
+
+    if (ingestSource) {
+      // HLS and DASH presentations: transcode their highest variant, fetching segments as FFmpeg reads them
+      if (dryRun) {
+        dryRunFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-hls-ingest-'));
+      }
+      const source = await prepareIngest({ input, folder: dryRunFolder || output, headers: sourceHeaders });
+      inputFile = source.inputFile;
+      inputOptions = source.inputOptions;
+      needsCleanup = Boolean(source.generatedFile) && !dryRun;
+    } else if (streamed) {
+      transcodeLogger.info('📡 Streaming the source straight from its URL, nothing is downloaded');
+      inputOptions = getInputOptions(input, { headers: sourceHeaders });
+    } else if (isUrl(input)) {
+      // Download file if it's a URL
       if (!dryRun) {
-        const tempPath = path.join(output, 'temp_source.mp4');
-        await downloadFile(input, tempPath);
-        inputFile = tempPath;
+        inputFile = await downloadFile(input, path.join(output, 'temp_source'), {
+          headers: sourceHeaders,
+          checksum: sourceChecksum,
+          signal,
+          onProgress: events ? update => events.emit('download', update) : null
+        });
         needsCleanup = true;
       } else {
         transcodeLogger.info('📥 Would download source file to temporary location');
         inputFile = 'DRY_RUN_TEMP_FILE';
       }
+    } else if (sourceChecksum && !dryRun) {
+      await verifyChecksum(input, sourceChecksum);
+      transcodeLogger.info('🔒 Source checksum verified');
     }
 
     let sourceInfo = null;
@@ -490,7 +717,7 @@ async function transcodeVideo(options) {
     // Even in dry-run mode, we should analyze to get proper information
     if (!skipAnalysis) {
       try {
-        sourceInfo = await analyzeSource(inputFile);
+        sourceInfo = await analyzeSource(inputFile, inputOptions);
       } catch (analyzeError) {
         transcodeLogger.warn(`⚠️ Source analysis failed: ${analyzeError.message}`);
         transcodeLogger.info('⏭️ Falling back to default analysis');
@@ -514,6 +741,15 @@ async function transcodeVideo(options) {
         sourceQuality: { name: '1080p', actualHeight: 1080 }
       };
     }
+    // The manifest generated for a dry run was only needed for the analysis
+    if (dryRunFolder) {
+      await fs.remove(dryRunFolder);
+    }
+
+    if (events) {
+      events.emit('analysis', sourceInfo);
+    }
+    throwIfCancelled(signal);
 
     // Setup GPU acceleration
     let gpuConfig = null;
@@ -525,135 +761,392 @@ async function transcodeVideo(options) {
       transcodeLogger.info(`   Using ${gpuInfo.type.toUpperCase()} acceleration (${gpuName})`);
     }
 
-    // Initialize GPU monitor if requested
-    let gpuMonitor = null;
+    // Initialize GPU monitor if requested; readings are reported as gpu events
     if (showGpuUsage && useGpu && gpuConfig && !dryRun) {
       const monitorType = gpuConfig.encoder.includes('nvenc') ? 'nvidia' : 
                         gpuConfig.encoder.includes('amf') ? 'amd' : 
                         gpuConfig.encoder.includes('qsv') ? 'intel' : 
                         gpuConfig.encoder.includes('videotoolbox') ? 'apple' : 'unknown';
-      gpuMonitor = new GpuMonitor(monitorType);
+      gpuMonitor = new GpuMonitor(monitorType, { onUsage: usage => events && events.emit('gpu', { usage }) });
     }
 
-    // Determine optimal qualities based on source
-    const optimalQualities = getOptimalQualities(sourceInfo.height, minQuality);
+    // Determine optimal qualities based on source, or take the user's ladder minus rungs that would upscale it
+    let optimalQualities;
+    let qualityLadder = ladderOption;
+    if (perTitle) {
+      try {
+        const perTitleResult = await analyzePerTitle(inputFile, sourceInfo, { metric: perTitleMetric, target: perTitleTarget, minQuality, signal });
+        qualityLadder = perTitleResult.rungs;
+      } catch (perTitleError) {
+        throwIfCancelled(signal);
+        transcodeLogger.warn(`⚠️ Per-title analysis failed: ${perTitleError.message}`);
+        transcodeLogger.info('⏭️ Falling back to the built-in ladder');
+      }
+    }
+    if (qualityLadder) {
+      const { qualities, dropped } = selectLadderRungs(qualityLadder, sourceInfo);
+      dropped.forEach(rung => {
+        transcodeLogger.warn(`⚠️ Skipping ladder rung ${describeRung(rung)}: it would upscale the ${sourceInfo.width}x${sourceInfo.height} source`);
+      });
+      if (qualities.length === 0) {
+        throw new Error(`Every ladder rung would upscale the ${sourceInfo.width}x${sourceInfo.height} source`);
+      }
+      optimalQualities = qualities;
+    } else {
+      optimalQualities = getOptimalQualities(sourceInfo.height, minQuality);
+    }
     
     transcodeLogger.info(`🎯 Generating ${optimalQualities.length} quality levels:`);
-    optimalQualities.forEach(q => transcodeLogger.info(`   • ${q.height}p (${q.name})`));
+    optimalQualities.forEach(q => transcodeLogger.info(`   • ${qualityLadder ? describeRung(q) : `${q.height}p (${q.name})`}`));
 
-    // Generate master playlist header
-    let masterPlaylist = '#EXTM3U\n';
-    masterPlaylist += '#EXT-X-VERSION:3\n';
-    masterPlaylist += '#EXT-X-INDEPENDENT-SEGMENTS\n\n';
+    // One parallel ladder per codec
+    const cpuEncoders = {};
+    for (const codec of codecs) {
+      cpuEncoders[codec] = await resolveCpuEncoder(codec);
+    }
+    // Per-title bitrates are measured with H.264, the other codecs get their usual efficiency discount
+    const ladder = codecs.flatMap(codec =>
+      optimalQualities.map(quality => ({
+        ...quality,
+        ...(perTitle && quality.bitrate ? { bitrate: Math.round(quality.bitrate * VIDEO_CODECS[codec].efficiency) } : {}),
+        codec,
+        encoder: cpuEncoders[codec]
+      }))
+    );
+
+    // Plan separate audio renditions (encoded once instead of muxed into every variant)
+    let audioRenditions = [];
+    if (separateAudio) {
+      audioRenditions = planAudioRenditions(sourceInfo, audioBitrates);
+      if (audioRenditions.length === 0) {
+        transcodeLogger.warn('⚠️ Source has no audio tracks, skipping separate audio renditions');
+      } else {
+        transcodeLogger.info(`🔊 Generating ${audioRenditions.length} audio renditions:`);
+        audioRenditions.forEach(a => transcodeLogger.info(`   • ${a.name} @ ${a.bitrate}k (${a.groupId})`));
+      }
+    }
+    const includeAudio = audioRenditions.length === 0;
+
+    // Plan WebVTT subtitle renditions from embedded text tracks and sidecar files
+    for (const file of subtitles) {
+      await validateSidecarFile(file);
+    }
+    const subtitleRenditions = planSubtitleRenditions(sourceInfo, subtitles);
+    if (subtitleRenditions.length > 0) {
+      transcodeLogger.info(`💬 Generating ${subtitleRenditions.length} subtitle renditions:`);
+      subtitleRenditions.forEach(s => transcodeLogger.info(`   • ${s.name}${s.isDefault ? ' (default)' : ''}${s.isForced ? ' (forced)' : ''}`));
+    }
+
+    // What will be produced, reported to event listeners and returned with the result
+    const plan = {
+      source: sourceInfo,
+      renditions: ladder.map(quality => {
+        const { playlistName, label, codec, resolution, fps, bitrate, maxBitrate, profile, crf, gopSize } = planRendition(quality, sourceInfo, bandwidthRatio, crfOffset);
+        return { playlist: playlistName, label, codec, resolution, fps, bitrate, maxBitrate, profile, crf, gopSize };
+      }),
+      audio: audioRenditions.map(({ playlistName, name, language, bitrate, channels }) => ({ playlist: playlistName, name, language, bitrate, channels })),
+      subtitles: subtitleRenditions.map(({ playlistName, name, language }) => ({ playlist: playlistName, name, language }))
+    };
+    if (events) {
+      events.emit('plan', plan);
+    }
 
     let playlistResults = [];
+    const manifests = { hls: null, dash: null };
     
     if (dryRun) {
       // Dry run simulation - still use actual source analysis data
       transcodeLogger.info('📋 DRY RUN SIMULATION:');
-      for (const quality of optimalQualities) {
-        const targetHeight = quality.height;
-        // Use local functions
-        const resolution = getResolutionPresetLocal(targetHeight, sourceInfo.aspectRatio);
-        const bitrate = calculateOptimizedBitrateLocal(targetHeight, sourceInfo.videoBitrate, sourceInfo.height, bandwidthRatio);
-        const crf = getOptimalCRFLocal(targetHeight, sourceInfo.sourceQuality, crfOffset);
-        const gopSize = getGOPSize(sourceInfo.fps);
+      for (const quality of ladder) {
+        const rendition = planRendition(quality, sourceInfo, bandwidthRatio, crfOffset);
+        const { label, encoder, resolution, bitrate, maxBitrate, frameRateCap, crf, gopSize } = rendition;
         
-        transcodeLogger.info(`   📦 Would process ${targetHeight}p (${resolution.width}x${resolution.height}) - Target bitrate: ${bitrate}k`);
-        transcodeLogger.info(`      🔧 CRF: ${crf}, GOP: ${gopSize}`);
+        transcodeLogger.info(`   📦 Would process ${label} (${resolution.width}x${resolution.height}) - Target bitrate: ${bitrate}k${maxBitrate ? `, max ${maxBitrate}k` : ''}${frameRateCap ? `, ${frameRateCap}fps` : ''}`);
+        transcodeLogger.info(`      🔧 CRF: ${crf}, GOP: ${gopSize}, Encoder: ${gpuConfig && getGpuEncoder(gpuConfig, rendition.codec) || encoder}`);
         
-        const bandwidth = bitrate * 1000;
-        const playlistName = `playlist_${targetHeight}.m3u8`;
-        const masterEntry = `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${resolution.width}x${resolution.height},NAME="${quality.name}"\n${playlistName}\n\n`;
-        playlistResults.push({ masterEntry, quality: targetHeight });
+        playlistResults.push(toVariant(rendition));
+      }
+      audioRenditions.forEach(a => {
+        transcodeLogger.info(`   🔊 Would encode audio track ${a.audioIndex} (${a.language}) at ${a.bitrate}k -> ${a.playlistName}`);
+      });
+      subtitleRenditions.forEach(s => {
+        const from = s.source.type === 'embedded' ? `subtitle track ${s.source.subtitleIndex}` : s.source.file;
+        transcodeLogger.info(`   💬 Would convert ${from} (${s.language}) to WebVTT -> ${s.playlistName}`);
+      });
+      playlistResults.filter(v => isIframeVariant(v, iframePlaylists)).forEach(v => {
+        transcodeLogger.info(`   🎞️ Would write I-frame playlist for ${v.name} -> ${v.playlistName.replace(/^playlist_/, 'iframe_')}`);
+      });
+      if (thumbnails && sourceInfo.duration) {
+        const plan = planThumbnails(sourceInfo, thumbnailOptions);
+        transcodeLogger.info(`   🖼️ Would generate ${plan.count} ${plan.width}x${plan.height} thumbnails in ${plan.sheetCount} sprite sheets -> thumbnails.vtt`);
+      }
+      if (encryption) {
+        transcodeLogger.info(`   🔐 Would encrypt segments with keys written to ${path.resolve(encryption.keyDir)}`);
+      }
+      if (measureQuality) {
+        transcodeLogger.info(`   🔬 Would compare ${playlistResults.length} renditions with the source -> ${REPORT_FILE}`);
       }
     } else {
       // Actual transcoding
+      // Record the plan and progress so an interrupted job can be resumed
+      const jobSettings = {
+        bandwidthRatio, segmentDuration, segmentSize, segmentFormat, preset, crfOffset, minQuality, ladder: ladderOption, perTitle, perTitleMetric, perTitleTarget, codecs,
+        separateAudio, audioBitrates, useGpu, gpuType, encrypt, keyUri, keyIv, keyRotation
+      };
+      const jobPlan = {
+        renditions: ladder.map(quality => {
+          const { playlistName, label, codec, encoder, resolution, fps, bitrate, maxBitrate, profile, crf, gopSize } = planRendition(quality, sourceInfo, bandwidthRatio, crfOffset);
+          return { playlistName, label, codec, encoder, resolution, fps, bitrate, maxBitrate, profile, crf, gopSize };
+        }),
+        audio: audioRenditions.map(({ playlistName, audioIndex, bitrate, channels }) => ({ playlistName, audioIndex, bitrate, channels }))
+      };
+      const jobSource = streamed ? { url: input } : await fingerprintSource(inputFile);
+
+      let jobState = resume ? await JobState.load(output) : null;
+      if (jobState) {
+        jobState.assertCompatible({ source: jobSource, settings: jobSettings, plan: jobPlan });
+        transcodeLogger.info(`♻️ Resuming job started ${jobState.data.createdAt}`);
+      } else {
+        if (resume) {
+          transcodeLogger.info('♻️ No job state found, starting a new job');
+        }
+        jobState = await JobState.create(output, { input, source: jobSource, settings: jobSettings, plan: jobPlan });
+      }
+
+      // Renditions finished by an earlier run are reused as they are
+      const completed = await jobState.getCompleted();
+      const isCompleted = (quality) => completed.has(planRendition(quality, sourceInfo, bandwidthRatio, crfOffset).playlistName);
+      const pendingLadder = ladder.filter(quality => !isCompleted(quality));
+      const pendingAudio = audioRenditions.filter(a => !completed.has(a.playlistName));
+      playlistResults = ladder.filter(isCompleted).map(quality => toVariant(planRendition(quality, sourceInfo, bandwidthRatio, crfOffset)));
+      if (completed.size > 0) {
+        transcodeLogger.info(`⏭️ Skipping ${completed.size} completed renditions: ${[...completed].join(', ')}`);
+      }
+      // Announce every rendition up front so progress consumers know the whole plan
+      [
+        ...ladder.map(quality => planRendition(quality, sourceInfo, bandwidthRatio, crfOffset)).map(r => ({ rendition: r.playlistName, label: r.label })),
+        ...audioRenditions.map(toProgressEntry)
+      ].forEach(entry => reportProgress(onProgress, [entry], completed.has(entry.rendition) ? 'complete' : 'pending', { percent: completed.has(entry.rendition) ? 100 : 0 }));
+      throwIfCancelled(signal);
+
       // Start GPU monitoring if enabled
       if (gpuMonitor) {
         gpuMonitor.start();
       }
       
-      if (sequential) {
+      // Outside single-decode mode the audio renditions get their own FFmpeg process
+      if ((!singleDecode || pendingLadder.length === 0) && pendingAudio.length > 0) {
+        await processAudioRenditions({ audioRenditions: pendingAudio, inputFile, inputOptions, output, segmentDuration, segmentSize, segmentFormat, encryption, jobState, budget, signal, onProgress, duration: sourceInfo.duration });
+      }
+
+      if (pendingLadder.length === 0) {
+        transcodeLogger.info('✅ All video renditions already completed');
+      } else if (singleDecode) {
+        // Decode once and encode every quality from the same ffmpeg process
+        transcodeLogger.info('\n🧬 Single-decode processing - all qualities share one decoder');
+        playlistResults.push(...await processSingleDecode({
+          qualities: pendingLadder,
+          sourceInfo,
+          inputFile,
+          inputOptions,
+          output,
+          segmentDuration,
+          segmentSize,
+          segmentFormat,
+          preset,
+          bandwidthRatio,
+          crfOffset,
+          gpuConfig,
+          gpuName,
+          audioRenditions: pendingAudio,
+          includeAudio,
+          encryption,
+          jobState,
+          budget,
+          signal,
+          onProgress
+        }));
+      } else if (sequential) {
         // Process qualities one by one with clean formatting
         transcodeLogger.info('\n🔄 Sequential processing enabled - one quality at a time');
-        for (const quality of optimalQualities) {
-          transcodeLogger.info(`\n--- Processing ${quality.height}p ---`);
+        for (const quality of pendingLadder) {
+          transcodeLogger.info(`\n--- Processing ${quality.height}p${quality.codec === 'h264' ? '' : ` ${VIDEO_CODECS[quality.codec].name}`} ---`);
           const result = await processQualityLevel({
             quality,
             sourceInfo,
             inputFile,
+            inputOptions,
             output,
             segmentDuration,
             segmentSize,
+            segmentFormat,
             preset,
             bandwidthRatio,
             crfOffset,
             gpuConfig,
             gpuName,
-            showProgressInNewLine: true
+            showProgressInNewLine: true,
+            includeAudio,
+            encryption,
+            jobState,
+            budget,
+            signal,
+            onProgress
           });
           playlistResults.push(result);
         }
       } else if (maxConcurrent) {
         // Process with concurrency limit
         transcodeLogger.info(`\n⚡ Parallel processing with max ${maxConcurrent} concurrent encodes`);
-        playlistResults = await processWithConcurrencyLimit(
-          optimalQualities,
+        playlistResults.push(...await processWithConcurrencyLimit({
+          qualities: pendingLadder,
+          maxConcurrent,
           sourceInfo,
           inputFile,
+          inputOptions,
           output,
           segmentDuration,
           segmentSize,
+          segmentFormat,
           preset,
           bandwidthRatio,
           crfOffset,
-          maxConcurrent,
           gpuConfig,
-          gpuName
-        );
+          gpuName,
+          includeAudio,
+          encryption,
+          jobState,
+          budget,
+          signal,
+          onProgress
+        }));
       } else {
         // Process all qualities in parallel (default behavior)
         transcodeLogger.info('\n⚡ Parallel processing all qualities simultaneously');
-        const promises = optimalQualities.map(quality => 
+        const promises = pendingLadder.map(quality => 
           processQualityLevel({
             quality,
             sourceInfo,
             inputFile,
+            inputOptions,
             output,
             segmentDuration,
             segmentSize,
+            segmentFormat,
             preset,
             bandwidthRatio,
             crfOffset,
             gpuConfig,
             gpuName,
-            showProgressInNewLine: false
+            showProgressInNewLine: false,
+            includeAudio,
+            encryption,
+            jobState,
+            budget,
+            signal,
+            onProgress
           })
         );
-        playlistResults = await Promise.all(promises);
+        playlistResults.push(...await Promise.all(promises));
       }
 
       // Stop GPU monitoring
       if (gpuMonitor) {
         gpuMonitor.stop();
       }
+      throwIfCancelled(signal);
 
-      // Build master playlist with all variants
-      playlistResults.forEach(result => {
-        masterPlaylist += result.masterEntry;
-      });
+      if (encryption) {
+        await encryption.cleanup();
+        transcodeLogger.info(`🔐 Wrote ${encryption.keys.size} keys to ${path.resolve(encryption.keyDir)}`);
+      }
 
-      // Write master playlist
-      const masterPlaylistPath = path.join(output, 'master.m3u8');
-      await fs.writeFile(masterPlaylistPath, masterPlaylist);
-      transcodeLogger.info(`\n📝 Master playlist written to: ${masterPlaylistPath}`);
+      // Segment subtitles to match the video segment duration
+      if (subtitleRenditions.length > 0) {
+        await processSubtitleRenditions({
+          subtitleRenditions,
+          inputFile,
+          inputOptions,
+          output,
+          duration: sourceInfo.duration,
+          segmentDuration: segmentDuration || 6,
+          // fMP4 segments keep FFmpeg's zero-based timeline, MPEG-TS segments are shifted
+          timestampOffset: segmentFormat === 'fmp4' ? 0 : MPEGTS_TIMESTAMP_OFFSET,
+          keepFullFile: writeDash,
+          signal
+        });
+      }
+
+      // Seek bar preview sprites sampled with their own FFmpeg pass
+      if (thumbnails) {
+        await generateThumbnails({ inputFile, inputOptions, output, sourceInfo, signal, ...thumbnailOptions });
+      }
+
+      // Replace planned bitrates and codec strings with values measured from the written segments
+      const measured = await measureRenditions({ output, variants: playlistResults, audioRenditions });
+      playlistResults = measured.variants;
+      audioRenditions = measured.audioRenditions;
+
+      // Trick-play playlists with byte ranges into the segments just written
+      let iframeVariants = [];
+      if (iframePlaylists) {
+        iframeVariants = await writeIframePlaylists({
+          output,
+          variants: playlistResults.filter(v => isIframeVariant(v, iframePlaylists)),
+          segmentFormat
+        });
+      }
+
+      if (formats.includes('hls')) {
+        // Build master playlist with all variants
+        const masterPlaylist = buildMasterPlaylist({
+          variants: playlistResults,
+          audioRenditions,
+          subtitleRenditions,
+          iframeVariants,
+          // EXT-X-MAP in media playlists requires a newer protocol version
+          version: segmentFormat === 'fmp4' ? 7 : 3
+        });
+
+        // Write master playlist
+        const masterPlaylistPath = path.join(output, 'master.m3u8');
+        await fs.writeFile(masterPlaylistPath, masterPlaylist);
+        manifests.hls = path.resolve(masterPlaylistPath);
+        transcodeLogger.info(`\n📝 Master playlist written to: ${masterPlaylistPath}`);
+      }
+
+      // Write the DASH manifest over the same CMAF segments
+      if (writeDash) {
+        manifests.dash = path.resolve(await writeDashManifest({
+          output,
+          variants: playlistResults,
+          audioRenditions,
+          subtitleRenditions,
+          duration: sourceInfo.duration,
+          segmentDuration: segmentDuration || 6
+        }));
+      }
+
+      // Objective quality of every rendition compared with the source
+      if (measureQuality) {
+        await writeQualityReport({ output, inputFile, sourceInfo, variants: playlistResults, thresholds: qualityThresholds, signal });
+      }
+
+      await jobState.markFinished();
 
       // Cleanup temporary file if needed
       if (needsCleanup) {
         await fs.remove(inputFile);
         transcodeLogger.info('🧹 Temporary files cleaned up');
       }
+
+      // Upload what is left with the playlists last, then report where everything went
+      if (publisher) {
+        await publisher.finish();
+        Object.keys(manifests).forEach(format => {
+          manifests[format] = manifests[format] && publisher.getUrl(manifests[format]);
+        });
+      }
     }
 
     // Calculate total time
@@ -661,13 +1154,69 @@ async function transcodeVideo(options) {
     const totalTimeFormatted = formatTime(totalTime);
     transcodeLogger.info(`⏱️ Total transcoding time: ${totalTimeFormatted}`);
 
+    if (webhookClient) {
+      const locate = playlist => (publisher ? publisher.getUrl(path.resolve(output, playlist)) : path.resolve(output, playlist));
+      await webhookClient.send('job.completed', {
+        ...jobInfo,
+        masterPlaylist: manifests.hls,
+        dashManifest: manifests.dash,
+        renditions: [
+          ...plan.renditions.map(({ playlist, label, codec, resolution, bitrate }) => ({ playlist: locate(playlist), type: 'video', label, codec, resolution, bitrate })),
+          ...plan.audio.map(({ playlist, name, language, bitrate }) => ({ playlist: locate(playlist), type: 'audio', label: name, language, bitrate }))
+        ],
+        duration: sourceInfo.duration || null,
+        elapsed: Math.round(totalTime / 1000),
+        outputSize: await getDirectorySize(output)
+      });
+    }
+
+    // Everything is in the bucket, the staging folder has served its purpose
+    if (publisher) {
+      await fs.remove(output);
+    }
+
+    return {
+      output: publishTo || path.resolve(output),
+      dryRun,
+      duration: totalTime,
+      plan,
+      variants: playlistResults,
+      manifests
+    };
+
   } catch (error) {
-    transcodeLogger.error(`Transcoding failed: ${error.message}`, { stack: error.stack });
-    throw new Error(`Transcoding failed: ${error.message}`);
+    // Nothing more is published; the staging folder stays for --resume
+    if (publisher) {
+      publisher.stop();
+    }
+    // Encodes killed by an abort fail with FFmpeg's signal error, report the cancellation instead
+    const cancelled = Boolean(signal && signal.aborted);
+    if (cancelled) {
+      transcodeLogger.warn('🛑 Transcoding cancelled');
+    } else {
+      transcodeLogger.error(`Transcoding failed: ${error.message}`, { stack: error.stack });
+    }
+    const failure = new Error(cancelled ? 'Transcoding cancelled' : `Transcoding failed: ${error.message}`);
+
+    if (webhookClient) {
+      await webhookClient.send('job.failed', {
+        ...jobInfo,
+        error: { message: failure.message, cancelled },
+        elapsed: Math.round((Date.now() - startTime) / 1000)
+      });
+    }
+    throw failure;
+  } finally {
+    // Cancelled and failed jobs must not leave the monitor's timer running
+    if (gpuMonitor) {
+      gpuMonitor.stop();
+    }
   }
 }
 
-async function processWithConcurrencyLimit(qualities, sourceInfo, inputFile, output, segmentDuration, segmentSize, preset, bandwidthRatio, crfOffset, maxConcurrent, gpuConfig, gpuName) {
+// Encode the qualities maxConcurrent at a time; the other options are passed on to processQualityLevel
+async function processWithConcurrencyLimit(options) {
+  const { qualities, maxConcurrent, ...renditionOptions } = options;
   const results = [];
   const transcodeLogger = createLogger('concurrency');
   
@@ -676,20 +1225,7 @@ async function processWithConcurrencyLimit(qualities, sourceInfo, inputFile, out
     transcodeLogger.info(`\n🔄 Processing batch ${Math.floor(i/maxConcurrent) + 1}/${Math.ceil(qualities.length/maxConcurrent)}`);
     
     const promises = batch.map(quality => 
-      processQualityLevel({
-        quality,
-        sourceInfo,
-        inputFile,
-        output,
-        segmentDuration,
-        segmentSize,
-        preset,
-        bandwidthRatio,
-        crfOffset,
-        gpuConfig,
-        gpuName,
-        showProgressInNewLine: false
-      })
+      processQualityLevel({ ...renditionOptions, quality, showProgressInNewLine: false })
     );
     
     const batchResults = await Promise.all(promises);
@@ -699,165 +1235,659 @@ async function processWithConcurrencyLimit(qualities, sourceInfo, inputFile, out
   return results;
 }
 
+// Calculate the encoding parameters for a single rendition
+function planRendition(quality, sourceInfo, bandwidthRatio, crfOffset) {
+  const targetHeight = quality.height;
+  const codec = quality.codec || 'h264';
+  // Ladder rungs may fix the width, bitrate and frame rate cap; otherwise they are derived from the source
+  const resolution = quality.width
+    ? { width: Math.round(quality.width / 2) * 2, height: Math.round(targetHeight / 2) * 2 }
+    : getResolutionPresetLocal(targetHeight, sourceInfo.aspectRatio);
+  const bitrate = quality.bitrate || calculateOptimizedBitrateLocal(targetHeight, sourceInfo.videoBitrate, sourceInfo.height, bandwidthRatio, codec);
+  const crf = getOptimalCRFLocal(targetHeight, sourceInfo.sourceQuality, crfOffset, codec);
+  const frameRateCap = quality.fps && sourceInfo.fps > quality.fps ? quality.fps : null;
+  const fps = frameRateCap || sourceInfo.fps;
+  const gopSize = getGOPSize(fps);
+
+  // H.264 keeps the original file names; other codecs get their own ladder prefix
+  const ladderName = codec === 'h264' ? `${targetHeight}` : `${codec}_${targetHeight}`;
+
+  return {
+    quality,
+    targetHeight,
+    codec,
+    id: ladderName,
+    label: codec === 'h264' ? `${targetHeight}p` : `${targetHeight}p ${VIDEO_CODECS[codec].name}`,
+    encoder: quality.encoder || VIDEO_CODECS[codec].encoders[0],
+    hasAudio: sourceInfo.audioTracks ? sourceInfo.audioTracks.length > 0 : true,
+    resolution,
+    fps,
+    frameRateCap,
+    bitrate,
+    maxBitrate: quality.maxBitrate || null,
+    profile: quality.profile || null,
+    crf,
+    gopSize,
+    playlistName: `playlist_${ladderName}.m3u8`,
+    segmentPrefix: `segment_${ladderName}`
+  };
+}
+
+// Describe a finished rendition for the master playlist
+function toVariant(rendition) {
+  return {
+    quality: rendition.targetHeight,
+    codec: rendition.codec,
+    name: rendition.codec === 'h264' ? rendition.quality.name : `${rendition.quality.name} ${VIDEO_CODECS[rendition.codec].name}`,
+    hasAudio: rendition.hasAudio,
+    // Bandwidth for master playlist (in bits per second)
+    bandwidth: rendition.bitrate * 1000,
+    resolution: rendition.resolution,
+    fps: rendition.fps,
+    codecs: getVideoCodecString(rendition),
+    playlistName: rendition.playlistName
+  };
+}
+
+// iframePlaylists is true for every variant or a list of qualities (heights)
+function isIframeVariant(variant, iframePlaylists) {
+  return Array.isArray(iframePlaylists) ? iframePlaylists.includes(variant.quality) : Boolean(iframePlaylists);
+}
+
+// Plan one audio rendition per source audio track and audio bitrate
+function planAudioRenditions(sourceInfo, audioBitrates = [128]) {
+  // Without analysis we cannot enumerate tracks, so assume a single default track
+  const tracks = sourceInfo.audioTracks || [{ audioIndex: 0, channels: 2, language: 'und', title: null, isDefault: true }];
+  const defaultTrack = tracks.find(track => track.isDefault) || tracks[0];
+  const renditions = [];
+
+  audioBitrates.forEach(audioBitrate => {
+    tracks.forEach(track => {
+      const baseName = `audio_${track.audioIndex}_${audioBitrate}k`;
+      renditions.push({
+        groupId: `audio-${audioBitrate}k`,
+        audioIndex: track.audioIndex,
+        name: track.title || (track.language !== 'und' ? track.language : `Audio ${track.audioIndex + 1}`),
+        language: track.language,
+        isDefault: track === defaultTrack,
+        // Audio renditions are downmixed to stereo
+        channels: Math.min(track.channels || 2, 2),
+        bitrate: audioBitrate,
+        playlistName: `${baseName}.m3u8`,
+        segmentPrefix: baseName
+      });
+    });
+  });
+
+  return renditions;
+}
+
+// Build the video/audio encoder arguments for a rendition (scaling is handled by the caller)
+function getEncoderOptions(rendition, preset, gpuConfig, includeAudio = true) {
+  const { codec, encoder, bitrate, crf, gopSize } = rendition;
+  const gpuEncoder = gpuConfig ? getGpuEncoder(gpuConfig, codec) : null;
+  const args = [];
+
+  if (gpuEncoder) {
+    // Set GPU encoder
+    args.push('-c:v', gpuEncoder);
+
+    // Add GPU-specific options
+    if (gpuConfig.options && gpuConfig.options.length > 0) {
+      args.push(...gpuConfig.options);
+    }
+
+    // Add preset and tune if available
+    if (gpuConfig.preset) {
+      args.push('-preset', gpuConfig.preset);
+    }
+    if (gpuConfig.tune) {
+      args.push('-tune', gpuConfig.tune);
+    }
+    if ((rendition.profile || gpuConfig.profile) && codec === 'h264') {
+      args.push('-profile:v', rendition.profile || gpuConfig.profile);
+    }
+    if (gpuConfig.rc) {
+      args.push('-rc', gpuConfig.rc);
+    }
+
+    // Fix for NVENC two-pass encoding error
+    if (gpuEncoder.includes('nvenc') && gpuConfig.rc && gpuConfig.rc.includes('vbr')) {
+      args.push('-multipass', 'fullres');
+    }
+
+    // Optimize for memory usage - reduce buffer sizes
+    args.push('-bufsize', '2M', '-maxrate', `${rendition.maxBitrate || Math.round(bitrate * 1.2)}k`);
+  } else if (codec === 'h264') {
+    // CPU processing
+    args.push('-c:v', 'libx264', '-preset', preset);
+    if (rendition.profile) {
+      args.push('-profile:v', rendition.profile);
+    }
+
+    // Optimize for memory usage
+    args.push(
+      '-threads', Math.min(4, os.cpus().length).toString(),
+      '-bufsize', '1M',
+      '-maxrate', `${rendition.maxBitrate || Math.round(bitrate * 1.1)}k`
+    );
+  } else {
+    args.push(...getCpuCodecOptions(rendition, preset));
+  }
+
+  // Apple players only accept HEVC in fMP4 when it is tagged hvc1
+  if (codec === 'hevc') {
+    args.push('-tag:v', 'hvc1');
+  }
+
+  // Audio is either muxed into every variant or encoded once as separate renditions
+  if (includeAudio) {
+    args.push('-c:a', 'aac', '-b:a', '128k');
+  } else {
+    args.push('-an');
+  }
+
+  // SVT-AV1 switches from CRF to VBR when given a target bitrate, so it is capped with -maxrate only
+  if (gpuEncoder || encoder !== 'libsvtav1') {
+    args.push('-b:v', `${bitrate}k`);
+  }
+
+  // Common options for both GPU and CPU with memory optimization
+  args.push(
+    '-crf', crf.toString(),
+    '-g', gopSize.toString(),
+    '-keyint_min', gopSize.toString()
+  );
+
+  // x264-style tuning for H.264 encoders
+  if (codec === 'h264') {
+    args.push(
+      '-sc_threshold', '0',
+      '-b_strategy', '0',
+      '-bf', '3',
+      '-refs', '3',
+      '-coder', '1',
+      '-flags', '+loop',
+      '-me_range', '16',
+      '-subq', '1',
+      '-trellis', '0'
+    );
+  }
+
+  return args;
+}
+
+// CPU encoder arguments for the HEVC, AV1 and VP9 ladders
+function getCpuCodecOptions(rendition, preset) {
+  const { encoder, bitrate, maxBitrate, gopSize } = rendition;
+  const maxrate = `${maxBitrate || Math.round(bitrate * 1.1)}k`;
+  const speeds = ENCODER_SPEEDS[preset] || ENCODER_SPEEDS.medium;
+  const threads = Math.min(4, os.cpus().length).toString();
+
+  // Codec strings in the playlists assume 8-bit 4:2:0 output
+  const args = ['-c:v', encoder, '-pix_fmt', 'yuv420p'];
+
+  switch (encoder) {
+    case 'libx265':
+      args.push(
+        '-preset', preset,
+        // Fixed, closed GOPs keep segments aligned with the other ladders
+        '-x265-params', `keyint=${gopSize}:min-keyint=${gopSize}:scenecut=0:open-gop=0:log-level=error`,
+        '-bufsize', '1M',
+        '-maxrate', maxrate
+      );
+      break;
+    case 'libsvtav1':
+      args.push(
+        '-preset', speeds.svtav1.toString(),
+        '-maxrate', maxrate
+      );
+      break;
+    case 'libaom-av1':
+      args.push(
+        '-cpu-used', speeds.aom.toString(),
+        '-row-mt', '1',
+        '-threads', threads
+      );
+      break;
+    case 'libvpx-vp9':
+      args.push(
+        '-deadline', 'good',
+        '-cpu-used', speeds.vpx.toString(),
+        '-row-mt', '1',
+        '-threads', threads
+      );
+      break;
+  }
+
+  return args;
+}
+
+// Build the segment container arguments: MPEG-TS (default) or CMAF fragmented MP4
+function getSegmentFormatOptions(rendition, segmentFormat) {
+  if (segmentFormat !== 'fmp4') {
+    return [];
+  }
+
+  // FFmpeg writes #EXT-X-MAP pointing at the init segment; the path is relative to the playlist
+  return [
+    '-hls_segment_type', 'fmp4',
+    '-hls_fmp4_init_filename', `${rendition.segmentPrefix}_init.mp4`
+  ];
+}
+
+// Build the HLS muxer arguments for a video or audio rendition
+function getHlsOptions(rendition, output, segmentDuration, segmentSize, segmentFormat = 'ts') {
+  const extension = segmentFormat === 'fmp4' ? 'm4s' : 'ts';
+  const segmentPattern = path.join(output, `${rendition.segmentPrefix}_%03d.${extension}`);
+  const formatOptions = getSegmentFormatOptions(rendition, segmentFormat);
+
+  if (segmentSize) {
+    // Use segment size (in bytes) with additional optimizations for better accuracy
+    const segmentSizeBytes = Math.round(segmentSize * 1024 * 1024); // Convert MB to bytes
+
+    return [
+      ...formatOptions,
+      '-f', 'hls',
+      '-hls_time', '1', // Very small time to prioritize size-based splitting
+      '-hls_list_size', '0',
+      '-hls_segment_size', segmentSizeBytes.toString(),
+      '-hls_segment_filename', segmentPattern,
+      '-hls_playlist_type', 'event',
+      // Additional options for better segment size control
+      '-hls_flags', 'split_by_time',
+      '-hls_flags', '+discont_start'
+    ];
+  }
+
+  // Use segment duration
+  return [
+    ...formatOptions,
+    '-hls_time', segmentDuration.toString(),
+    '-hls_list_size', '0',
+    '-hls_segment_filename', segmentPattern,
+    '-f', 'hls',
+    '-hls_playlist_type', 'event'
+  ];
+}
+
+// Build the arguments for a standalone audio rendition output
+function getAudioOutputOptions(audioRendition, output, segmentDuration, segmentSize, segmentFormat) {
+  return [
+    '-map', `0:a:${audioRendition.audioIndex}`,
+    '-vn',
+    '-c:a', 'aac',
+    '-b:a', `${audioRendition.bitrate}k`,
+    '-ac', audioRendition.channels.toString(),
+    ...getHlsOptions(audioRendition, output, segmentDuration, segmentSize, segmentFormat)
+  ];
+}
+
+// Encode every audio rendition once in a single FFmpeg process
+async function processAudioRenditions(options) {
+  const { audioRenditions, inputFile, inputOptions = [], output, segmentDuration, segmentSize, segmentFormat, encryption = null, jobState = null, budget = null, signal = null, onProgress = null, duration = null } = options;
+  const report = (status, stats) => reportProgress(onProgress, audioRenditions.map(toProgressEntry), status, stats);
+
+  return new Promise(async (resolve, reject) => {
+    let release = () => {};
+    let detach = () => {};
+    let encodeStart = Date.now();
+    try {
+      await fs.ensureDir(output);
+      if (budget) {
+        release = await budget.acquire();
+      }
+      throwIfCancelled(signal);
+
+      const audioLogger = createLogger('audio');
+      const startTime = Date.now();
+      audioLogger.info(`🔊 Encoding ${audioRenditions.length} audio renditions`);
+
+      if (jobState) {
+        await Promise.all(audioRenditions.map(a => jobState.markStarted(a)));
+      }
+
+      if (encryption) {
+        await Promise.all(audioRenditions.map(a => encryption.prepareRendition(a)));
+      }
+
+      const ffmpegCommand = ffmpeg(inputFile).inputOptions(inputOptions);
+      audioRenditions.forEach(audioRendition => {
+        ffmpegCommand
+          .output(getPlaylistFile(encryption, audioRendition, output))
+          .outputOptions(
+            ...getAudioOutputOptions(audioRendition, output, segmentDuration, segmentSize, segmentFormat),
+            ...getEncryptionOptions(encryption, audioRendition)
+          );
+      });
+
+      detach = killOnAbort(signal, ffmpegCommand);
+      ffmpegCommand
+        .on('start', (commandLine) => {
+          encodeStart = Date.now();
+          report('running', { percent: 0 });
+          audioLogger.info(`🎬 Started audio transcoding`);
+          if (process.env.DEBUG) {
+            audioLogger.debug(`🔧 Command: ${commandLine}`);
+          }
+        })
+        .on('progress', (progress) => report('running', getProgressStats(progress, duration, encodeStart)))
+        .on('end', async () => {
+          detach();
+          release();
+          audioLogger.info(`✅ Completed audio transcoding in ${formatTime(Date.now() - startTime)}`);
+          try {
+            if (encryption) {
+              await Promise.all(audioRenditions.map(a => encryption.finishRendition(a, output)));
+            }
+            if (jobState) {
+              await Promise.all(audioRenditions.map(a => jobState.markComplete(a.playlistName)));
+            }
+            report('complete', { percent: 100 });
+            resolve(audioRenditions);
+          } catch (error) {
+            reject(error);
+          }
+        })
+        .on('error', (err) => {
+          detach();
+          release();
+          report('failed');
+          audioLogger.error(`❌ Error transcoding audio: ${err.message}`);
+          reject(err);
+        })
+        .run();
+    } catch (error) {
+      detach();
+      release();
+      reject(error);
+    }
+  });
+}
+
 async function processQualityLevel(options) {
-  const { quality, sourceInfo, inputFile, output, segmentDuration, segmentSize, preset, bandwidthRatio, crfOffset, gpuConfig, gpuName, showProgressInNewLine } = options;
+  const { quality, sourceInfo, inputFile, inputOptions = [], output, segmentDuration, segmentSize, segmentFormat, preset, bandwidthRatio, crfOffset, gpuConfig, gpuName, showProgressInNewLine, includeAudio = true, encryption = null, jobState = null, budget = null, signal = null, onProgress = null } = options;
   
   return new Promise(async (resolve, reject) => {
+    let release = () => {};
+    let detach = () => {};
+    let encodeStart = Date.now();
     try {
       // Ensure output directory exists for this quality level
       await fs.ensureDir(output);
       
-      const targetHeight = quality.height;
-      const playlistName = `playlist_${targetHeight}.m3u8`;
-      const segmentPrefix = `segment_${targetHeight}`;
+      const rendition = planRendition(quality, sourceInfo, bandwidthRatio, crfOffset);
+      const { id, label, resolution, bitrate, crf, gopSize, playlistName } = rendition;
       const startTime = Date.now();
-      
-      // Calculate optimized parameters using local functions
-      const resolution = getResolutionPresetLocal(targetHeight, sourceInfo.aspectRatio);
-      const bitrate = calculateOptimizedBitrateLocal(targetHeight, sourceInfo.videoBitrate, sourceInfo.height, bandwidthRatio);
-      const crf = getOptimalCRFLocal(targetHeight, sourceInfo.sourceQuality, crfOffset);
-      const gopSize = getGOPSize(sourceInfo.fps);
-
-      const qualityLogger = createLogger(`quality-${targetHeight}`);
-      qualityLogger.info(`📦 Processing ${targetHeight}p (${resolution.width}x${resolution.height}) - Target bitrate: ${bitrate}k`);
+      const report = (status, stats) => reportProgress(onProgress, [{ rendition: playlistName, label }], status, stats);
+
+      const qualityLogger = createLogger(`quality-${id}`);
+      qualityLogger.info(`📦 Processing ${label} (${resolution.width}x${resolution.height}) - Target bitrate: ${bitrate}k`);
       if (gpuConfig) {
         qualityLogger.info(`   🔧 CRF: ${crf}, GOP: ${gopSize}, GPU Preset: ${preset}${gpuName ? ` (${gpuName})` : ''}`);
       } else {
         qualityLogger.info(`   🔧 CRF: ${crf}, GOP: ${gopSize}, CPU Preset: ${preset}`);
       }
 
-      // Calculate bandwidth for master playlist (in bits per second)
-      const bandwidth = bitrate * 1000;
+      // Wait for a free encode slot when the budget is shared with other jobs
+      if (budget) {
+        release = await budget.acquire();
+      }
+      throwIfCancelled(signal);
+
+      // Clear anything left by an interrupted attempt at this rendition
+      if (jobState) {
+        await jobState.markStarted(rendition);
+      }
 
-      // Create master playlist entry
-      const masterEntry = `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${resolution.width}x${resolution.height},NAME="${quality.name}"\n${playlistName}\n\n`;
+      // Write the key info file before FFmpeg reads it
+      if (encryption) {
+        await encryption.prepareRendition(rendition);
+      }
 
       // Setup FFmpeg command
-      const ffmpegCommand = ffmpeg(inputFile);
+      const ffmpegCommand = ffmpeg(inputFile).inputOptions(inputOptions);
       
-      // Apply GPU acceleration if configured
-      if (gpuConfig) {
-        // Set GPU decoder if available
-        if (gpuConfig.decoder) {
-          ffmpegCommand.inputOptions([gpuConfig.decoder]);
-        }
-        
-        // Set GPU encoder
-        ffmpegCommand.videoCodec(gpuConfig.encoder);
-        
-        // Add GPU-specific options
-        if (gpuConfig.options && gpuConfig.options.length > 0) {
-          gpuConfig.options.forEach(opt => ffmpegCommand.addOption(opt));
-        }
-        
-        // Add preset and tune if available
-        if (gpuConfig.preset) {
-          ffmpegCommand.addOption('-preset', gpuConfig.preset);
-        }
-        if (gpuConfig.tune) {
-          ffmpegCommand.addOption('-tune', gpuConfig.tune);
-        }
-        if (gpuConfig.profile) {
-          ffmpegCommand.addOption('-profile:v', gpuConfig.profile);
-        }
-        if (gpuConfig.rc) {
-          ffmpegCommand.addOption('-rc', gpuConfig.rc);
-        }
-        
-        // Fix for NVENC two-pass encoding error
-        if (gpuConfig.encoder.includes('nvenc') && gpuConfig.rc && gpuConfig.rc.includes('vbr')) {
-          ffmpegCommand.addOption('-multipass', 'fullres');
-        }
-        
-        // Optimize for memory usage - reduce buffer sizes
-        ffmpegCommand
-          .addOption('-bufsize', '2M')
-          .addOption('-maxrate', `${Math.round(bitrate * 1.2)}k`);
-      } else {
-        // CPU processing
-        ffmpegCommand.videoCodec('libx264');
-        ffmpegCommand.addOption('-preset', preset);
-        
-        // Optimize for memory usage
-        ffmpegCommand
-          .addOption('-threads', Math.min(4, os.cpus().length).toString())
-          .addOption('-bufsize', '1M')
-          .addOption('-maxrate', `${Math.round(bitrate * 1.1)}k`);
+      // Set GPU decoder if available
+      if (gpuConfig && gpuConfig.decoder) {
+        ffmpegCommand.inputOptions([gpuConfig.decoder]);
       }
 
-      // Common options for both GPU and CPU with memory optimization
-      ffmpegCommand
-        .audioCodec('aac')
-        .size(`${resolution.width}x${resolution.height}`)
-        .videoBitrate(`${bitrate}k`)
-        .audioBitrate('128k')
-        .addOption('-crf', crf.toString())
-        .addOption('-g', gopSize.toString())
-        .addOption('-sc_threshold', '0')
-        .addOption('-keyint_min', gopSize.toString())
-        .addOption('-b_strategy', '0')
-        .addOption('-bf', '3')
-        .addOption('-refs', '3')
-        .addOption('-coder', '1')
-        .addOption('-flags', '+loop')
-        .addOption('-me_range', '16')
-        .addOption('-subq', '1')
-        .addOption('-trellis', '0');
-      
-      // Configure segmenting options
-      if (segmentSize) {
-        // Use segment size (in bytes) with additional optimizations for better accuracy
-        const segmentSizeBytes = Math.round(segmentSize * 1024 * 1024); // Convert MB to bytes
-        
-        // Additional options to improve segment size accuracy
-        ffmpegCommand
-          .addOption('-f', 'hls')
-          .addOption('-hls_time', '1') // Very small time to prioritize size-based splitting
-          .addOption('-hls_list_size', '0')
-          .addOption('-hls_segment_size', segmentSizeBytes.toString())
-          .addOption('-hls_segment_filename', path.join(output, `${segmentPrefix}_%03d.ts`))
-          .addOption('-hls_playlist_type', 'event')
-          // Additional options for better segment size control
-          .addOption('-hls_flags', 'split_by_time')
-          .addOption('-hls_flags', '+discont_start');
-      } else {
-        // Use segment duration
-        ffmpegCommand
-          .addOption('-hls_time', segmentDuration.toString())
-          .addOption('-hls_list_size', '0')
-          .addOption('-hls_segment_filename', path.join(output, `${segmentPrefix}_%03d.ts`))
-          .addOption('-f', 'hls')
-          .addOption('-hls_playlist_type', 'event');
+      ffmpegCommand.size(`${resolution.width}x${resolution.height}`);
+      if (rendition.frameRateCap) {
+        ffmpegCommand.fps(rendition.frameRateCap);
       }
 
+      ffmpegCommand
+        .outputOptions(
+          ...getEncoderOptions(rendition, preset, gpuConfig, includeAudio),
+          ...getHlsOptions(rendition, output, segmentDuration, segmentSize, segmentFormat),
+          ...getEncryptionOptions(encryption, rendition)
+        );
+
+      detach = killOnAbort(signal, ffmpegCommand);
       ffmpegCommand
         .on('start', (commandLine) => {
-          qualityLogger.info(`🎬 Started ${targetHeight}p transcoding`);
+          encodeStart = Date.now();
+          report('running', { percent: 0 });
+          qualityLogger.info(`🎬 Started ${label} transcoding`);
           if (process.env.DEBUG) {
             qualityLogger.debug(`🔧 Command: ${commandLine}`);
           }
         })
         .on('progress', (progress) => {
-          // Suppress progress updates to avoid spam
+          // No log lines for progress to avoid spam, only the callback
+          report('running', getProgressStats(progress, sourceInfo.duration, encodeStart));
         })
-        .on('end', () => {
+        .on('end', async () => {
+          detach();
+          release();
           const endTime = Date.now();
           const duration = endTime - startTime;
           const durationFormatted = formatTime(duration);
-          qualityLogger.info(`✅ Completed ${targetHeight}p transcoding in ${durationFormatted}`);
-          resolve({ masterEntry, quality: targetHeight });
+          qualityLogger.info(`✅ Completed ${label} transcoding in ${durationFormatted}`);
+          try {
+            // Rotated keys are applied once every segment is written, see KeyStore.finishRendition
+            if (encryption) {
+              await encryption.finishRendition(rendition, output);
+            }
+            if (jobState) {
+              await jobState.markComplete(playlistName);
+            }
+            report('complete', { percent: 100 });
+            resolve(toVariant(rendition));
+          } catch (error) {
+            reject(error);
+          }
         })
         .on('error', (err) => {
-          qualityLogger.error(`❌ Error transcoding ${targetHeight}p: ${err.message}`);
+          detach();
+          release();
+          report('failed');
+          qualityLogger.error(`❌ Error transcoding ${label}: ${err.message}`);
           reject(err);
         })
-        .save(path.join(output, playlistName));
+        .save(getPlaylistFile(encryption, rendition, output));
     } catch (error) {
+      detach();
+      release();
       reject(error);
     }
   });
 }
 
+// Decode the source once and feed every rendition from a split/scale filter graph
+async function processSingleDecode(options) {
+  const { qualities, sourceInfo, inputFile, inputOptions = [], output, segmentDuration, segmentSize, segmentFormat, preset, bandwidthRatio, crfOffset, gpuConfig, gpuName, audioRenditions = [], includeAudio = audioRenditions.length === 0, encryption = null, jobState = null, budget = null, signal = null, onProgress = null } = options;
+
+  return new Promise(async (resolve, reject) => {
+    let release = () => {};
+    let detach = () => {};
+    let encodeStart = Date.now();
+    try {
+      await fs.ensureDir(output);
+      if (budget) {
+        release = await budget.acquire();
+      }
+      throwIfCancelled(signal);
+
+      const renditions = qualities.map(quality => planRendition(quality, sourceInfo, bandwidthRatio, crfOffset));
+      // Every rendition advances with the shared decode
+      const report = (status, stats) => reportProgress(onProgress, [
+        ...renditions.map(r => ({ rendition: r.playlistName, label: r.label })),
+        ...audioRenditions.map(toProgressEntry)
+      ], status, stats);
+      const startTime = Date.now();
+      const singleLogger = createLogger('single-decode');
+
+      singleLogger.info(`📦 Encoding ${renditions.length} renditions from a single decode`);
+      renditions.forEach(r => {
+        singleLogger.info(`   • ${r.label} (${r.resolution.width}x${r.resolution.height}) - Target bitrate: ${r.bitrate}k, CRF: ${r.crf}, GOP: ${r.gopSize}`);
+      });
+      singleLogger.info(`   🔧 ${gpuConfig ? `GPU Preset: ${preset}${gpuName ? ` (${gpuName})` : ''}` : `CPU Preset: ${preset}`}`);
+
+      // [0:v]split=N[v0][v1]... followed by one scale (and optional frame rate cap) per rendition
+      const splitLabels = renditions.map((r, i) => `[v${i}]`).join('');
+      const filters = [`[0:v]split=${renditions.length}${splitLabels}`];
+      renditions.forEach((r, i) => {
+        const fpsFilter = r.frameRateCap ? `,fps=${r.frameRateCap}` : '';
+        filters.push(`[v${i}]scale=${r.resolution.width}:${r.resolution.height}${fpsFilter}[v${i}out]`);
+      });
+
+      const ffmpegCommand = ffmpeg(inputFile).inputOptions(inputOptions);
+
+      if (gpuConfig && gpuConfig.decoder) {
+        ffmpegCommand.inputOptions([gpuConfig.decoder]);
+      }
+
+      ffmpegCommand.complexFilter(filters);
+
+      if (jobState) {
+        await Promise.all([...renditions, ...audioRenditions].map(r => jobState.markStarted(r)));
+      }
+      if (encryption) {
+        await Promise.all([...renditions, ...audioRenditions].map(r => encryption.prepareRendition(r)));
+      }
+
+      // One HLS muxer per rendition
+      renditions.forEach((rendition, i) => {
+        const audioMap = includeAudio ? ['-map', '0:a:0?'] : [];
+        ffmpegCommand
+          .output(getPlaylistFile(encryption, rendition, output))
+          .outputOptions(
+            '-map', `[v${i}out]`,
+            ...audioMap,
+            ...getEncoderOptions(rendition, preset, gpuConfig, includeAudio),
+            ...getHlsOptions(rendition, output, segmentDuration, segmentSize, segmentFormat),
+            ...getEncryptionOptions(encryption, rendition)
+          );
+      });
+
+      // Separate audio renditions share the same decoder too
+      audioRenditions.forEach(audioRendition => {
+        ffmpegCommand
+          .output(getPlaylistFile(encryption, audioRendition, output))
+          .outputOptions(
+            ...getAudioOutputOptions(audioRendition, output, segmentDuration, segmentSize, segmentFormat),
+            ...getEncryptionOptions(encryption, audioRendition)
+          );
+      });
+
+      detach = killOnAbort(signal, ffmpegCommand);
+      ffmpegCommand
+        .on('start', (commandLine) => {
+          encodeStart = Date.now();
+          report('running', { percent: 0 });
+          singleLogger.info(`🎬 Started single-decode transcoding`);
+          if (process.env.DEBUG) {
+            singleLogger.debug(`🔧 Command: ${commandLine}`);
+          }
+        })
+        .on('progress', (progress) => {
+          // No log lines for progress to avoid spam, only the callback
+          report('running', getProgressStats(progress, sourceInfo.duration, encodeStart));
+        })
+        .on('end', async () => {
+          detach();
+          release();
+          const durationFormatted = formatTime(Date.now() - startTime);
+          singleLogger.info(`✅ Completed ${renditions.length} renditions in ${durationFormatted}`);
+          try {
+            if (encryption) {
+              await Promise.all([...renditions, ...audioRenditions].map(r => encryption.finishRendition(r, output)));
+            }
+            if (jobState) {
+              await Promise.all([...renditions, ...audioRenditions].map(r => jobState.markComplete(r.playlistName)));
+            }
+            report('complete', { percent: 100 });
+            resolve(renditions.map(toVariant));
+          } catch (error) {
+            reject(error);
+          }
+        })
+        .on('error', (err) => {
+          detach();
+          release();
+          report('failed');
+          singleLogger.error(`❌ Error in single-decode transcoding: ${err.message}`);
+          reject(err);
+        })
+        .run();
+    } catch (error) {
+      detach();
+      release();
+      reject(error);
+    }
+  });
+}
+
+// Percent done (from FFmpeg's timemark and the analysed duration), encoding fps and speed
+// (media seconds per second) of an FFmpeg progress update. FFmpeg's own percent is only
+// set when fluent-ffmpeg could probe the input itself.
+function getProgressStats(progress, duration, encodeStart) {
+  const match = /^(\d+):(\d+):([\d.]+)$/.exec(progress.timemark || '');
+  const time = match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+  const elapsed = (Date.now() - encodeStart) / 1000;
+  return {
+    percent: duration && time !== null ? time / duration * 100 : progress.percent,
+    fps: progress.currentFps || null,
+    speed: time !== null && elapsed > 0 ? Math.round(time / elapsed * 100) / 100 : null
+  };
+}
+
+// Progress updates go to the onProgress callback and, as rendition:* events, to an emitter
+function createProgressHandler(onProgress, events) {
+  if (!onProgress && !events) return null;
+
+  const started = new Set();
+  return (update) => {
+    if (onProgress) onProgress(update);
+    if (!events) return;
+
+    if (update.status === 'running') {
+      const first = !started.has(update.rendition);
+      started.add(update.rendition);
+      events.emit(first ? 'rendition:start' : 'rendition:progress', update);
+    } else if (update.status === 'complete') {
+      // Renditions finished by an earlier run (resume) end without starting
+      events.emit('rendition:end', started.has(update.rendition) ? update : { ...update, resumed: true });
+    }
+  };
+}
+
+// Send a progress update for each rendition to the onProgress callback, if any.
+// percent is missing when the source duration is unknown, fps and speed until FFmpeg reports them.
+function reportProgress(onProgress, renditions, status, { percent = null, fps = null, speed = null } = {}) {
+  if (!onProgress) return;
+  const value = typeof percent === 'number' && isFinite(percent) ? Math.round(Math.min(100, Math.max(0, percent)) * 10) / 10 : null;
+  renditions.forEach(({ rendition, label }) => onProgress({ rendition, label, status, percent: value, fps, speed }));
+}
+
+function toProgressEntry(audioRendition) {
+  return { rendition: audioRendition.playlistName, label: `${audioRendition.name} @ ${audioRendition.bitrate}k` };
+}
+
+// Kill an FFmpeg command when the job's AbortSignal fires; returns a function that stops listening
 function formatTime(milliseconds) {
   const seconds = Math.floor(milliseconds / 1000);
   const minutes = Math.floor(seconds / 60);
@@ -870,4 +1900,9 @@ function formatTime(milliseconds) {
   }
 }
 
-module.exports = { transcodeVideo };
+module.exports = {
+  transcodeVideo,
+  planRendition,
+  toVariant,
+  getEncoderOptions
+};
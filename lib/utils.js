@@ -1,40 +1,5 @@
 const fs = require('fs-extra');
-const axios = require('axios');
 const path = require('path');
-const { logger, createLogger } = require('./logger');
-
-async function downloadFile(url, outputPath) {
-  const utilsLogger = createLogger('downloader');
-  
-  try {
-    utilsLogger.info(`📥 Downloading ${url}...`);
-    const response = await axios({
-      method: 'GET',
-      url: url,
-      responseType: 'stream',
-      timeout: 30000 // 30 second timeout
-    });
-
-    await fs.ensureDir(path.dirname(outputPath));
-    const writer = fs.createWriteStream(outputPath);
-    
-    // Pipe the response data to the file
-    response.data.pipe(writer);
-
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => {
-        utilsLogger.info('✅ Download completed');
-        resolve();
-      });
-      writer.on('error', (err) => {
-        utilsLogger.error(`❌ Download failed: ${err.message}`);
-        reject(err);
-      });
-    });
-  } catch (error) {
-    throw new Error(`Failed to download file: ${error.message}`);
-  }
-}
 
 function isUrl(string) {
   return string.startsWith('http://') || string.startsWith('https://');
@@ -133,8 +98,65 @@ function normalizeResolution(width, height) {
   };
 }
 
+// Shared limit on simultaneous FFmpeg encodes, e.g. across every job of a batch
+class ConcurrencyBudget {
+  constructor(slots) {
+    this.slots = slots;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  // Wait for a free slot; resolves with a function that gives it back (calling it twice is harmless)
+  acquire() {
+    return new Promise(resolve => {
+      const grant = () => {
+        this.active++;
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          this.active--;
+          const next = this.waiting.shift();
+          if (next) next();
+        });
+      };
+
+      if (this.active < this.slots) {
+        grant();
+      } else {
+        this.waiting.push(grant);
+      }
+    });
+  }
+}
+
+// Kill an FFmpeg command when the signal aborts; returns a function that stops listening
+function killOnAbort(signal, command) {
+  if (!signal) return () => {};
+  const onAbort = () => command.kill('SIGKILL');
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new Error('Transcoding cancelled');
+  }
+}
+
+// Total size of every file below a folder
+async function getDirectorySize(dir) {
+  if (!(await fs.pathExists(dir))) return 0;
+
+  let total = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    total += entry.isDirectory() ? await getDirectorySize(entryPath) : (await fs.stat(entryPath)).size;
+  }
+  return total;
+}
+
 module.exports = {
-  downloadFile,
   isUrl,
   formatFileSize,
   sanitizeFilename,
@@ -143,5 +165,9 @@ module.exports = {
   estimateTranscodingTime,
   getMemoryRequirements,
   isValidResolution,
-  normalizeResolution
+  normalizeResolution,
+  getDirectorySize,
+  killOnAbort,
+  throwIfCancelled,
+  ConcurrencyBudget
 };
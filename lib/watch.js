@@ -0,0 +1,289 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { transcodeVideo } = require('./transcoder');
+const { resolveOptions, loadConfigFile } = require('./config');
+const { VIDEO_EXTENSIONS } = require('./batch');
+const { sanitizeFilename, ConcurrencyBudget } = require('./utils');
+const { isS3Url } = require('./s3');
+
+const JOURNAL_FILE = 'watch-journal.json';
+const JOURNAL_VERSION = 1;
+// Finished jobs kept in the journal for reference
+const JOURNAL_HISTORY = 200;
+// Inbox subfolders the sources are moved to; never scanned
+const DONE_FOLDER = 'done';
+const FAILED_FOLDER = 'failed';
+
+// Pick a path that does not exist yet by adding _2, _3, ... before the extension
+async function getFreePath(target) {
+  const extension = path.extname(target);
+  const base = target.slice(0, target.length - extension.length);
+  let candidate = target;
+  for (let i = 2; await fs.pathExists(candidate); i++) {
+    candidate = `${base}_${i}${extension}`;
+  }
+  return candidate;
+}
+
+// Watches an inbox folder and transcodes every file once it has stopped growing.
+// Files in the inbox root use the default profile; files in a subfolder use the profile
+// mapped to that subfolder, or the profile with the subfolder's name. Progress is kept
+// in a journal so a restarted watcher resumes jobs that were running.
+class WatchFolder {
+  constructor({ inbox, output, configFile = null, profile = null, folderProfiles = {}, settle = 10, poll = 5, concurrency = 2, journalFile = null }) {
+    if (isS3Url(output)) {
+      throw new Error('A watch folder cannot write to an s3:// output, transcode to a folder instead');
+    }
+    this.inbox = path.resolve(inbox);
+    this.output = path.resolve(output);
+    this.configFile = configFile;
+    this.profile = profile;
+    this.folderProfiles = folderProfiles;
+    this.settle = settle;
+    this.poll = poll;
+    this.concurrency = concurrency;
+    this.journalFile = journalFile || path.join(this.output, JOURNAL_FILE);
+    this.budget = new ConcurrencyBudget(concurrency);
+    this.logger = createLogger('watch');
+
+    this.profiles = [];
+    this.journal = { version: JOURNAL_VERSION, jobs: {} };
+    this.candidates = new Map();
+    this.queue = [];
+    this.running = new Set();
+    this.saving = Promise.resolve();
+    this.scanning = false;
+    this.stopping = false;
+  }
+
+  // Check the setup, resume interrupted jobs and start polling. Resolves once stop() has
+  // been called and every running job has settled.
+  async start() {
+    if (!(await fs.pathExists(this.inbox))) {
+      throw new Error(`Inbox folder not found: ${this.inbox}`);
+    }
+    if (this.configFile) {
+      this.profiles = Object.keys((await loadConfigFile(this.configFile)).profiles);
+    }
+    const knownProfiles = [this.profile, ...Object.values(this.folderProfiles)].filter(Boolean);
+    const missing = knownProfiles.find(name => !this.profiles.includes(name));
+    if (missing) {
+      throw new Error(`Unknown profile "${missing}"${this.profiles.length > 0 ? ` (available: ${this.profiles.join(', ')})` : ' (profiles need --config)'}`);
+    }
+
+    await fs.ensureDir(this.output);
+    await this.loadJournal();
+
+    this.logger.info(`👀 Watching ${this.inbox} (every ${this.poll}s, files settle after ${this.settle}s, ${this.concurrency} concurrent encodes)`);
+    this.logger.info(`   Output: ${this.output}, journal: ${this.journalFile}`);
+
+    // Jobs that were queued or running when the last watcher stopped
+    for (const [relativePath, entry] of Object.entries(this.journal.jobs)) {
+      if (!['queued', 'running'].includes(entry.status)) continue;
+      if (await fs.pathExists(path.join(this.inbox, relativePath))) {
+        this.logger.info(`♻️ Resuming ${relativePath}`);
+        this.enqueue(relativePath);
+      } else {
+        entry.status = 'failed';
+        entry.error = 'Source disappeared while the watcher was stopped';
+        entry.finishedAt = new Date().toISOString();
+      }
+    }
+    await this.saveJournal();
+
+    await this.scan();
+    this.pollInterval = setInterval(() => this.scan(), this.poll * 1000);
+
+    return new Promise(resolve => {
+      this.resolveStopped = resolve;
+    });
+  }
+
+  // Stop picking up files; running jobs finish (or are resumed by the next watcher)
+  stop() {
+    if (this.stopping) return;
+    this.stopping = true;
+    clearInterval(this.pollInterval);
+    this.queue = [];
+    this.logger.info(`🛑 Stopping${this.running.size > 0 ? `, waiting for ${this.running.size} running jobs` : ''}`);
+    this.checkStopped();
+  }
+
+  checkStopped() {
+    if (this.stopping && this.running.size === 0 && this.resolveStopped) {
+      this.saveJournal().then(this.resolveStopped);
+    }
+  }
+
+  // Video files in the inbox root and its first-level subfolders, as inbox-relative paths
+  async listInbox() {
+    const files = [];
+    for (const entry of await fs.readdir(this.inbox, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      if (entry.isDirectory()) {
+        if ([DONE_FOLDER, FAILED_FOLDER].includes(entry.name)) continue;
+        const children = await fs.readdir(path.join(this.inbox, entry.name), { withFileTypes: true }).catch(() => []);
+        children
+          .filter(child => child.isFile() && !child.name.startsWith('.'))
+          .forEach(child => files.push(path.join(entry.name, child.name)));
+      } else if (entry.isFile()) {
+        files.push(entry.name);
+      }
+    }
+    return files.filter(file => VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+  }
+
+  // A file is queued once its size and modification time have not changed for settle seconds
+  async scan() {
+    if (this.scanning || this.stopping) return;
+    this.scanning = true;
+
+    try {
+      const now = Date.now();
+      const files = await this.listInbox();
+      for (const relativePath of files) {
+        if (this.running.has(relativePath) || this.queue.includes(relativePath)) continue;
+
+        const stats = await fs.stat(path.join(this.inbox, relativePath)).catch(() => null);
+        if (!stats) continue;
+
+        const seen = this.candidates.get(relativePath);
+        if (!seen || seen.size !== stats.size || seen.mtimeMs !== stats.mtimeMs) {
+          if (!seen) {
+            this.logger.info(`📥 New file: ${relativePath}`);
+          }
+          this.candidates.set(relativePath, { size: stats.size, mtimeMs: stats.mtimeMs, since: now });
+        } else if (now - seen.since >= this.settle * 1000) {
+          this.candidates.delete(relativePath);
+          this.journal.jobs[relativePath] = { status: 'queued', size: stats.size, queuedAt: new Date().toISOString() };
+          this.enqueue(relativePath);
+          await this.saveJournal();
+        }
+      }
+
+      // Forget files that were removed before they settled
+      for (const relativePath of this.candidates.keys()) {
+        if (!files.includes(relativePath)) this.candidates.delete(relativePath);
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️ Scanning ${this.inbox} failed: ${error.message}`);
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  enqueue(relativePath) {
+    this.queue.push(relativePath);
+    this.pump();
+  }
+
+  // Keep as many jobs in flight as encode slots; their encodes queue on the shared budget
+  pump() {
+    while (!this.stopping && this.running.size < this.concurrency && this.queue.length > 0) {
+      const relativePath = this.queue.shift();
+      this.running.add(relativePath);
+      this.runJob(relativePath).finally(() => {
+        this.running.delete(relativePath);
+        this.pump();
+        this.checkStopped();
+      });
+    }
+  }
+
+  // Profile for a file: explicit subfolder mapping, then a profile named like the subfolder, then the default
+  getProfile(relativePath) {
+    const parts = relativePath.split(path.sep);
+    if (parts.length < 2) return this.profile;
+
+    const subfolder = parts[0];
+    if (this.folderProfiles[subfolder]) return this.folderProfiles[subfolder];
+    return this.profiles.includes(subfolder) ? subfolder : this.profile;
+  }
+
+  async runJob(relativePath) {
+    const source = path.join(this.inbox, relativePath);
+    const entry = this.journal.jobs[relativePath] || {};
+    const profile = this.getProfile(relativePath);
+    const startTime = Date.now();
+
+    // A resumed job keeps its output folder so finished renditions are reused
+    if (!entry.output) {
+      const name = sanitizeFilename(path.basename(relativePath, path.extname(relativePath)));
+      entry.output = await getFreePath(path.join(this.output, path.dirname(relativePath), name));
+    }
+    Object.assign(entry, { status: 'running', profile, startedAt: new Date(startTime).toISOString(), error: null });
+    this.journal.jobs[relativePath] = entry;
+    await this.saveJournal();
+
+    this.logger.info(`🎬 Transcoding ${relativePath}${profile ? ` with profile "${profile}"` : ''} -> ${entry.output}`);
+    try {
+      const options = await resolveOptions({
+        configFile: this.configFile,
+        profile,
+        cliOptions: { input: source, output: entry.output, resume: true }
+      });
+      await transcodeVideo({ ...options, budget: this.budget });
+
+      entry.movedTo = await this.moveSource(relativePath, DONE_FOLDER);
+      entry.status = 'done';
+      this.logger.info(`✅ ${relativePath} done in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    } catch (error) {
+      // Jobs cut short by a shutdown stay "running" and are resumed by the next watcher
+      if (this.stopping) {
+        this.logger.warn(`⚠️ ${relativePath} interrupted, it will resume on the next start`);
+        return;
+      }
+      entry.status = 'failed';
+      entry.error = error.message;
+      entry.movedTo = await this.moveSource(relativePath, FAILED_FOLDER).catch(moveError => {
+        this.logger.error(`❌ Could not move ${relativePath} to ${FAILED_FOLDER}/: ${moveError.message}`);
+        return null;
+      });
+      this.logger.error(`❌ ${relativePath} failed: ${error.message}`);
+    }
+
+    entry.finishedAt = new Date().toISOString();
+    entry.duration = Math.round((Date.now() - startTime) / 100) / 10;
+    await this.saveJournal();
+  }
+
+  // Move a source into done/ or failed/, keeping its subfolder
+  async moveSource(relativePath, folder) {
+    const target = await getFreePath(path.join(this.inbox, folder, relativePath));
+    await fs.move(path.join(this.inbox, relativePath), target);
+    return path.relative(this.inbox, target);
+  }
+
+  async loadJournal() {
+    if (!(await fs.pathExists(this.journalFile))) return;
+
+    const data = await fs.readJson(this.journalFile);
+    if (data.version !== JOURNAL_VERSION) {
+      throw new Error(`Unsupported watch journal version ${data.version}: ${this.journalFile}`);
+    }
+    this.journal = data;
+  }
+
+  // Saves are queued and written atomically; only the latest finished jobs are kept
+  saveJournal() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      const finished = Object.entries(this.journal.jobs)
+        .filter(([, entry]) => ['done', 'failed'].includes(entry.status))
+        .sort(([, a], [, b]) => (b.finishedAt || '').localeCompare(a.finishedAt || ''));
+      finished.slice(JOURNAL_HISTORY).forEach(([relativePath]) => delete this.journal.jobs[relativePath]);
+
+      this.journal.updatedAt = new Date().toISOString();
+      await fs.ensureDir(path.dirname(this.journalFile));
+      const tempFile = `${this.journalFile}.tmp`;
+      await fs.writeJson(tempFile, this.journal, { spaces: 2 });
+      await fs.rename(tempFile, this.journalFile);
+    });
+    return this.saving;
+  }
+}
+
+module.exports = {
+  JOURNAL_FILE,
+  WatchFolder
+};
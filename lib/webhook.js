@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const SIGNATURE_HEADER = 'X-Transcode-Signature';
+const TIMESTAMP_HEADER = 'X-Transcode-Timestamp';
+// Per-request timeout and the longest wait between attempts, in milliseconds
+const REQUEST_TIMEOUT = 10000;
+const MAX_RETRY_DELAY = 30000;
+
+// HMAC-SHA256 of "<timestamp>.<body>"; receivers recompute it to check the sender and reject replays
+function signPayload(body, timestamp, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Network errors, timeouts, rate limits and server errors are worth another attempt; other 4xx are not
+function isRetryable(error) {
+  const status = error.response ? error.response.status : null;
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+// Posts job events to one URL. Deliveries go out one at a time in the order they were sent,
+// are retried with exponential backoff and never throw: a webhook that stays down is logged
+// and the job carries on.
+class WebhookClient {
+  constructor({ url, secret = null, retries = 5 }) {
+    this.url = url;
+    this.secret = secret;
+    this.retries = retries;
+    this.logger = createLogger('webhook');
+    this.sending = Promise.resolve();
+
+    if (!secret) {
+      this.logger.warn('⚠️ No webhook secret set, requests will not be signed');
+    }
+  }
+
+  // Queue an event; the returned promise resolves with true once it was delivered, false when it gave up
+  send(event, data) {
+    const delivery = this.sending.then(() => this.deliver(event, data));
+    this.sending = delivery;
+    return delivery;
+  }
+
+  async deliver(event, data) {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, event, time: new Date().toISOString(), ...data });
+
+    for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = { 'Content-Type': 'application/json', 'X-Transcode-Event': event, 'X-Transcode-Delivery': id, [TIMESTAMP_HEADER]: timestamp };
+      if (this.secret) {
+        headers[SIGNATURE_HEADER] = signPayload(body, timestamp, this.secret);
+      }
+
+      try {
+        await axios.post(this.url, body, { headers, timeout: REQUEST_TIMEOUT });
+        this.logger.info(`📨 Webhook ${event} delivered to ${this.url}`);
+        return true;
+      } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        if (attempt > this.retries || !isRetryable(error)) {
+          this.logger.error(`❌ Webhook ${event} to ${this.url} failed after ${attempt} attempt${attempt > 1 ? 's' : ''}: ${reason}`);
+          return false;
+        }
+        const delay = Math.min(1000 * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+        this.logger.warn(`⚠️ Webhook ${event} failed (${reason}), retrying in ${delay / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+    return false;
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  WebhookClient
+};